@@ -0,0 +1,94 @@
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+
+// Error raised when a token is missing, malformed, expired or points to a deleted user
+export class AuthError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "AuthError";
+        this.code = code;
+    }
+}
+
+// Pull a bearer token out of an "Authorization: Bearer <token>" header value
+const parseBearer = (header) => {
+    if (typeof header !== "string") {
+        return null;
+    }
+    const [scheme, token] = header.trim().split(/\s+/);
+    return scheme && scheme.toLowerCase() === "bearer" && token ? token : null;
+};
+
+// Verify a JWT issued by /api/auth and load the user it belongs to (without the password hash)
+export const authenticateToken = async (token) => {
+    if (!token) {
+        throw new AuthError("AUTH_REQUIRED", "Authentication token is required");
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+        if (error.name === "TokenExpiredError") {
+            throw new AuthError("TOKEN_EXPIRED", "Authentication token has expired");
+        }
+        throw new AuthError("INVALID_TOKEN", "Authentication token is invalid");
+    }
+
+    if (!payload || !mongoose.Types.ObjectId.isValid(payload.id)) {
+        throw new AuthError("INVALID_TOKEN", "Authentication token is invalid");
+    }
+
+    const user = await User.findById(payload.id).select("-password").lean();
+    if (!user) {
+        throw new AuthError("USER_NOT_FOUND", "User for this token no longer exists");
+    }
+
+    // Changing the password invalidates every access token issued before it (iat is in seconds)
+    if (user.passwordChangedAt && payload.iat < Math.floor(new Date(user.passwordChangedAt).getTime() / 1000)) {
+        throw new AuthError("TOKEN_REVOKED", "Authentication token has been revoked");
+    }
+
+    return user;
+};
+
+// Express middleware: reject the request with 401 unless it carries a valid bearer token
+export const requireAuth = async (req, res, next) => {
+    try {
+        const user = await authenticateToken(parseBearer(req.headers.authorization));
+        req.user = user;
+        req.userId = user._id.toString();
+        next();
+    } catch (error) {
+        if (error instanceof AuthError) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        console.error("❌ Auth check failed:", error.message);
+        res.status(500).json({ error: "Failed to authenticate request" });
+    }
+};
+
+// Socket.IO middleware: verify the handshake token once and bind the user to the socket.
+// Clients pass the token as `auth: { token }`, falling back to an Authorization header.
+export const socketAuth = async (socket, next) => {
+    try {
+        const { auth = {}, headers = {} } = socket.handshake;
+        const user = await authenticateToken(auth.token || parseBearer(headers.authorization));
+        socket.data.user = user;
+        socket.data.userId = user._id.toString();
+        next();
+    } catch (error) {
+        const authError = error instanceof AuthError
+            ? error
+            : new AuthError("AUTH_FAILED", "Failed to authenticate connection");
+        if (!(error instanceof AuthError)) {
+            console.error("❌ Socket auth failed:", error.message);
+        }
+
+        // Socket.IO forwards `data` to the client's connect_error handler
+        const err = new Error(authError.message);
+        err.data = { code: authError.code, message: authError.message };
+        next(err);
+    }
+};
@@ -0,0 +1,26 @@
+import { getRateLimiter } from "../services/rateLimit.js";
+import { ERROR_CODES, toErrorPayload } from "../utils/errors.js";
+
+// Express middleware applying the named limit (see services/rateLimit.js) per IP, per user when
+// the route is authenticated, and per account when `account(req)` names what is being targeted.
+// Throttled requests get 429 with a Retry-After header.
+export const rateLimit = (name, { account } = {}) => async (req, res, next) => {
+    try {
+        await getRateLimiter().consume(name, {
+            ip: req.ip,
+            user: req.userId,
+            account: account?.(req),
+        });
+        next();
+    } catch (error) {
+        const { code, message, retryAfterMs } = toErrorPayload(error);
+        if (code !== ERROR_CODES.RATE_LIMITED) {
+            // Don't lock people out because the store is unavailable
+            console.error(`Error checking rate limit ${name}:`, error.message);
+            return next();
+        }
+
+        res.set("Retry-After", String(Math.ceil(retryAfterMs / 1000)));
+        res.status(429).json({ error: message, code, retryAfterMs });
+    }
+};
@@ -6,8 +6,26 @@ const messageSchema = new mongoose.Schema({
     text: { type: String, required: true },
     timestamp: { type: Date, default: Date.now },
     sender: { type: Object, required: true },
+    // Message this one replies to (same room)
+    replyTo: { type: mongoose.Schema.Types.ObjectId, ref: "Message", default: null },
+    // One entry per (emoji, user); grouped per emoji when sent to clients
+    reactions: [
+        {
+            _id: false,
+            emoji: { type: String, required: true },
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        },
+    ],
+    editedAt: { type: Date, default: null },
+    // Soft delete: the text stays in the database but is never sent to clients
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
 });
 
+// History pages walk a room's messages by _id; sender filters narrow that further
+messageSchema.index({ room: 1, _id: -1 });
+messageSchema.index({ room: 1, senderId: 1, _id: -1 });
+
 const Message = mongoose.model("Message", messageSchema);
 
 export default Message;
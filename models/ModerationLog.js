@@ -0,0 +1,27 @@
+import mongoose from "mongoose";
+
+// One entry per moderation action taken in a room (kick, ban, unban, mute, unmute)
+const moderationLogSchema = new mongoose.Schema({
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    action: {
+        type: String,
+        enum: ["kick", "ban", "unban", "mute", "unmute"],
+        required: true,
+    },
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    actorName: { type: String, default: "" },
+    targetId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    targetName: { type: String, default: "" },
+    reason: { type: String, default: "" },
+    // Mutes only: which channels were affected
+    channels: { type: [String], default: undefined },
+    // Timed bans/mutes: when the restriction lifts (null = indefinitely)
+    expiresAt: { type: Date, default: null },
+    timestamp: { type: Date, default: Date.now },
+});
+
+moderationLogSchema.index({ room: 1, timestamp: -1 });
+
+const ModerationLog = mongoose.model("ModerationLog", moderationLogSchema);
+
+export default ModerationLog;
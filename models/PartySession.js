@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// One visit of a participant: from joining until leaving for good (a reconnect within the grace
+// window doesn't end it). leftAt is null while they are still in the room.
+const stintSchema = new mongoose.Schema(
+    {
+        joinedAt: { type: Date, required: true },
+        leftAt: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
+const sessionParticipantSchema = new mongoose.Schema(
+    {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        username: { type: String, default: "" },
+        present: { type: Boolean, default: true },
+        stints: { type: [stintSchema], default: [] },
+    },
+    { _id: false }
+);
+
+// A video loaded in the room; endedAt is set when the next one replaces it or the party ends
+const sessionVideoSchema = new mongoose.Schema(
+    {
+        url: { type: String, required: true },
+        serviceId: { type: String, default: "" },
+        mediaId: { type: String, default: "" },
+        startedAt: { type: Date, required: true },
+        endedAt: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
+// History of one watch party, kept after the Room and its messages are deleted (see services/history.js)
+const partySessionSchema = new mongoose.Schema({
+    room: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+    title: { type: String, default: "" },
+    host: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    hostName: { type: String, default: "" },
+    participants: { type: [sessionParticipantSchema], default: [] },
+    videos: { type: [sessionVideoSchema], default: [] },
+    messageCount: { type: Number, default: 0 },
+    // Most people in the room at once
+    peakConcurrency: { type: Number, default: 0 },
+    startedAt: { type: Date, default: Date.now },
+    // null while the party is still going
+    endedAt: { type: Date, default: null },
+});
+
+partySessionSchema.index({ "participants.id": 1, startedAt: -1 });
+partySessionSchema.index({ host: 1, startedAt: -1 });
+
+const PartySession = mongoose.model("PartySession", partySessionSchema);
+
+export default PartySession;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// Long-lived refresh tokens. Only a SHA-256 hash of the token is stored. Every refresh replaces
+// the token with a new one of the same `family`; presenting a replaced token again means it
+// leaked, and the whole family is revoked.
+const refreshTokenSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    family: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    replacedBy: { type: String, default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+
+refreshTokenSchema.index({ user: 1 });
+refreshTokenSchema.index({ family: 1 });
+// MongoDB drops tokens once they expire
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -1,6 +1,122 @@
 // models/Room.js
 import mongoose from "mongoose";
 
+// A video waiting in a room's queue (or awaiting host approval)
+const QueueItemSchema = new mongoose.Schema({
+    url: {
+        type: String,
+        required: true,
+    },
+    title: {
+        type: String,
+        default: "",
+    },
+    serviceId: {
+        type: String,
+        default: "1",
+    },
+    mediaId: {
+        type: String,
+        default: "",
+    },
+    addedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    addedByName: {
+        type: String,
+        default: "",
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
+// A choice in a poll; url/serviceId/mediaId are set when the choice is a video
+const PollOptionSchema = new mongoose.Schema({
+    text: {
+        type: String,
+        required: true,
+    },
+    url: {
+        type: String,
+        default: null,
+    },
+    serviceId: {
+        type: String,
+        default: null,
+    },
+    mediaId: {
+        type: String,
+        default: null,
+    },
+});
+
+// An in-room poll, see services/polls.js. Each participant has at most one vote, which they can change.
+const PollSchema = new mongoose.Schema({
+    question: {
+        type: String,
+        required: true,
+    },
+    options: [PollOptionSchema],
+    votes: [
+        {
+            userId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                required: true,
+            },
+            optionId: {
+                type: mongoose.Schema.Types.ObjectId,
+                required: true,
+            },
+            votedAt: {
+                type: Date,
+                default: Date.now,
+            },
+            _id: false,
+        },
+    ],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true,
+    },
+    createdByName: {
+        type: String,
+        default: "",
+    },
+    status: {
+        type: String,
+        enum: ["open", "closed"],
+        default: "open",
+    },
+    // Load the winning video when the poll closes
+    autoPlay: {
+        type: Boolean,
+        default: false,
+    },
+    // When the poll closes by itself; null means it stays open until closed by hand
+    closesAt: {
+        type: Date,
+        default: null,
+    },
+    closedAt: {
+        type: Date,
+        default: null,
+    },
+    winnerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now,
+    },
+});
+
 const RoomSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -15,6 +131,37 @@ const RoomSchema = new mongoose.Schema({
         type: String,
         required: true,
     },
+    // Listing shown in the directory and room header, see services/directory.js
+    title: {
+        type: String,
+        default: "",
+    },
+    description: {
+        type: String,
+        default: "",
+    },
+    tags: {
+        type: [String],
+        default: [],
+    },
+    // public: listed in the directory; unlisted: id or invite code; private: invite code only
+    visibility: {
+        type: String,
+        enum: ["public", "unlisted", "private"],
+        default: "unlisted",
+    },
+    // Short human-friendly code for sharing the room, resolvable via GET /api/room/invite/:code
+    inviteCode: {
+        type: String,
+        unique: true,
+        sparse: true,
+    },
+    // bcrypt hash of the optional room password; never selected unless asked for
+    passwordHash: {
+        type: String,
+        default: null,
+        select: false,
+    },
     users: [
         {
             id: {
@@ -34,31 +181,211 @@ const RoomSchema = new mongoose.Schema({
                 type: String,
                 default: "No email",
             },
+            // See services/permissions.js; the host is always `admin`
+            role: {
+                type: String,
+                enum: ["host", "cohost", "moderator", "viewer"],
+                default: "viewer",
+            },
+            joinedAt: {
+                type: Date,
+                default: Date.now,
+            },
+            // "away" while a dropped participant is inside the reconnect grace window;
+            // otherwise what their most engaged tab reports (online, watching or idle)
+            status: {
+                type: String,
+                enum: ["online", "away", "watching", "idle"],
+                default: "online",
+            },
+            awaySince: {
+                type: Date,
+                default: null,
+            },
         },
     ],
     videoUrl: {
         type: String,
         default: "",
     },
+    // Provider of the current video, see providers/ (1 YouTube, 2 Vimeo, 3 Twitch, 4 Dailymotion, 5 direct)
     serviceId: {
         type: String,
-        default: "1", // 1 for YouTube
+        default: "",
+    },
+    // Provider-specific id of the current video (e.g. YouTube video id)
+    mediaId: {
+        type: String,
+        default: "",
     },
     isPlaying: {
         type: Boolean,
         default: false,
     },
+    // Position (seconds) as of playbackUpdatedAt; the live position is derived from it
     playbackTime: {
         type: Number,
         default: 0,
     },
+    playbackRate: {
+        type: Number,
+        default: 1,
+    },
+    playbackUpdatedAt: {
+        type: Date,
+        default: Date.now,
+    },
+    // Upcoming videos, played in order
+    queue: [QueueItemSchema],
+    // Suggestions from non-admins waiting for approval (queueMode "approval")
+    pendingQueue: [QueueItemSchema],
+    // Queue item currently loaded, if the video came from the queue
+    currentItemId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    // Subtitle track shown to everyone, one of the current video's (see services/subtitles.js)
+    activeSubtitleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubtitleTrack",
+        default: null,
+    },
+    // Open polls and the most recent closed ones, oldest first
+    polls: [PollSchema],
+    // Users waiting for the host to let them in (joinMode "knock")
+    pendingJoins: [
+        {
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                required: true,
+            },
+            username: {
+                type: String,
+                required: true,
+            },
+            profilePic: {
+                type: String,
+                default: null,
+            },
+            requestedAt: {
+                type: Date,
+                default: Date.now,
+            },
+        },
+    ],
+    // Users who may not rejoin; expiresAt null means permanently
+    bans: [
+        {
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                required: true,
+            },
+            username: {
+                type: String,
+                default: "",
+            },
+            reason: {
+                type: String,
+                default: "",
+            },
+            bannedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+            expiresAt: {
+                type: Date,
+                default: null,
+            },
+        },
+    ],
+    // Chat/voice mutes; expiresAt null means until unmuted
+    mutes: [
+        {
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+                required: true,
+            },
+            chat: {
+                type: Boolean,
+                default: true,
+            },
+            voice: {
+                type: Boolean,
+                default: false,
+            },
+            mutedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "User",
+            },
+            expiresAt: {
+                type: Date,
+                default: null,
+            },
+        },
+    ],
+    settings: {
+        // open: anyone with the id/code (and password) joins; knock: the host approves each join
+        joinMode: {
+            type: String,
+            enum: ["open", "knock"],
+            default: "open",
+        },
+        // null means no cap
+        maxParticipants: {
+            type: Number,
+            default: null,
+        },
+        // A locked room accepts no new participants
+        locked: {
+            type: Boolean,
+            default: false,
+        },
+        passwordProtected: {
+            type: Boolean,
+            default: false,
+        },
+        // host: only hosts/co-hosts add; everyone: anyone adds; approval: other adds need approval
+        queueMode: {
+            type: String,
+            enum: ["host", "everyone", "approval"],
+            default: "host",
+        },
+    },
     createdAt: {
         type: Date,
         default: Date.now,
     },
+    // Lifecycle, see services/lifecycle.js: active while something plays, idle when nothing does
+    // (idleSince starts the auto-close clock), ended once closed and archived once its chat is purged
+    state: {
+        type: String,
+        enum: ["active", "idle", "ended", "archived"],
+        default: "idle",
+    },
+    idleSince: {
+        type: Date,
+        default: Date.now,
+    },
+    endedAt: {
+        type: Date,
+        default: null,
+    },
+    archivedAt: {
+        type: Date,
+        default: null,
+    },
 });
 
 // Add indexes for frequently queried fields
 RoomSchema.index({ admin: 1 });
+RoomSchema.index({ visibility: 1, createdAt: -1 });
+RoomSchema.index({ visibility: 1, tags: 1 });
+RoomSchema.index({ state: 1, idleSince: 1 });
+RoomSchema.index({ state: 1, endedAt: 1 });
+RoomSchema.index({ state: 1, archivedAt: 1 });
+RoomSchema.index({ "polls.status": 1, "polls.closesAt": 1 });
 
 export default mongoose.model("Room", RoomSchema);
\ No newline at end of file
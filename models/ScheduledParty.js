@@ -0,0 +1,57 @@
+import mongoose from "mongoose";
+
+// A video to load when the party opens: the first one is loaded, the rest are queued
+const partyVideoSchema = new mongoose.Schema(
+    {
+        url: { type: String, required: true },
+        title: { type: String, default: "" },
+        serviceId: { type: String, required: true },
+        mediaId: { type: String, default: "" },
+    },
+    { _id: false }
+);
+
+const inviteeSchema = new mongoose.Schema(
+    {
+        id: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+        username: { type: String, default: "" },
+        rsvp: { type: String, enum: ["pending", "going", "maybe", "declined"], default: "pending" },
+        respondedAt: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
+// A watch party planned ahead of time. services/partyScheduler.js opens a room for it at startsAt
+// and notifies the invitees.
+const scheduledPartySchema = new mongoose.Schema({
+    host: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    hostName: { type: String, default: "" },
+    title: { type: String, required: true },
+    description: { type: String, default: "" },
+    startsAt: { type: Date, required: true },
+    videos: { type: [partyVideoSchema], default: [] },
+    invitees: { type: [inviteeSchema], default: [] },
+    // Visibility of the room once it opens (private: invitees join with the invite code they are sent)
+    visibility: { type: String, enum: ["public", "unlisted", "private"], default: "private" },
+    // scheduled -> started (room opened), or cancelled by the host, missed (the server was down
+    // well past startsAt) or failed (the room couldn't be opened)
+    status: {
+        type: String,
+        enum: ["scheduled", "started", "cancelled", "missed", "failed"],
+        default: "scheduled",
+    },
+    reminderSentAt: { type: Date, default: null },
+    // Set when the party opens
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", default: null },
+    inviteCode: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    createdAt: { type: Date, default: Date.now },
+});
+
+scheduledPartySchema.index({ status: 1, startsAt: 1 });
+scheduledPartySchema.index({ host: 1, startsAt: 1 });
+scheduledPartySchema.index({ "invitees.id": 1, startsAt: 1 });
+
+const ScheduledParty = mongoose.model("ScheduledParty", scheduledPartySchema);
+
+export default ScheduledParty;
@@ -0,0 +1,26 @@
+import mongoose from "mongoose";
+
+// A subtitle file uploaded to a room for one video, stored as normalized WebVTT
+// (see services/subtitleFormat.js). Purged with the room's chat when it is archived.
+const subtitleTrackSchema = new mongoose.Schema({
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    // The video it belongs to
+    serviceId: { type: String, required: true },
+    mediaId: { type: String, required: true },
+    label: { type: String, required: true },
+    // BCP 47 tag such as "en" or "pt-BR", or "" when unknown
+    language: { type: String, default: "" },
+    // What was uploaded: "srt" or "vtt"
+    sourceFormat: { type: String, enum: ["srt", "vtt"], required: true },
+    vtt: { type: String, required: true },
+    cueCount: { type: Number, default: 0 },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    uploadedByName: { type: String, default: "" },
+    createdAt: { type: Date, default: Date.now },
+});
+
+subtitleTrackSchema.index({ room: 1, serviceId: 1, mediaId: 1, createdAt: 1 });
+
+const SubtitleTrack = mongoose.model("SubtitleTrack", subtitleTrackSchema);
+
+export default SubtitleTrack;
@@ -0,0 +1,23 @@
+import mongoose from "mongoose";
+
+// An emoji or short comment pinned to a moment of a video watched in a room
+const timelineReactionSchema = new mongoose.Schema({
+    room: { type: mongoose.Schema.Types.ObjectId, ref: "Room", required: true },
+    // Video the reaction belongs to, as resolved by providers/
+    serviceId: { type: String, required: true },
+    mediaId: { type: String, required: true },
+    // Playback position (seconds) when the reaction was sent
+    position: { type: Number, required: true },
+    kind: { type: String, enum: ["emoji", "comment"], required: true },
+    emoji: { type: String, default: "" },
+    text: { type: String, default: "" },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    username: { type: String, default: "" },
+    timestamp: { type: Date, default: Date.now },
+});
+
+timelineReactionSchema.index({ room: 1, serviceId: 1, mediaId: 1, position: 1 });
+
+const TimelineReaction = mongoose.model("TimelineReaction", timelineReactionSchema);
+
+export default TimelineReaction;
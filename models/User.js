@@ -1,10 +1,15 @@
 import mongoose from "mongoose";
 
 const userSchema = new mongoose.Schema({
-  username: { type: String, required: true, unique: true },
-  email: { type: String, required: true, unique: true },
+  username: { type: String, required: true, unique: true, trim: true },
+  email: { type: String, required: true, unique: true, trim: true, lowercase: true },
   password: { type: String, required: true },
-  profilePic: { type: String }
+  profilePic: { type: String },
+  // Storage key of an uploaded avatar, so it can be deleted when replaced
+  profilePicKey: { type: String, default: null },
+  // Access tokens issued before this are rejected (see middleware/auth.js)
+  passwordChangedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now }
 });
 
 const User = mongoose.model("User", userSchema);
@@ -0,0 +1,7 @@
+// Shared helpers for provider modules (skipped by the registry's directory scan)
+
+// Compare hostnames ignoring a leading "www." / "m."
+export const hostIs = (url, ...hosts) => {
+    const host = url.hostname.toLowerCase().replace(/^(www|m)\./, "");
+    return hosts.includes(host);
+};
@@ -0,0 +1,27 @@
+import { hostIs } from "./_helpers.js";
+
+const ID_PATTERN = /^x[a-z0-9]+$/i;
+
+// dailymotion.com/video/ID[_slug], dailymotion.com/embed/video/ID, dai.ly/ID,
+// geo.dailymotion.com/player[/xyz].html?video=ID
+export default {
+    id: "dailymotion",
+    name: "Dailymotion",
+    serviceId: "4",
+    parse(url) {
+        let id = null;
+        if (hostIs(url, "dai.ly")) {
+            id = url.pathname.split("/")[1];
+        } else if (hostIs(url, "dailymotion.com")) {
+            const match = url.pathname.match(/^(?:\/embed)?\/video\/([^/_]+)/);
+            id = match && match[1];
+        } else if (hostIs(url, "geo.dailymotion.com")) {
+            id = url.searchParams.get("video");
+        }
+
+        if (!id || !ID_PATTERN.test(id)) {
+            return null;
+        }
+        return { mediaId: id, url: `https://www.dailymotion.com/video/${id}` };
+    },
+};
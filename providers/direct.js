@@ -0,0 +1,25 @@
+// Direct media files on any host: progressive MP4 and HLS playlists.
+// The canonical URL is the link itself (minus any fragment), which doubles as the media id.
+const FORMATS = {
+    ".mp4": "mp4",
+    ".m4v": "mp4",
+    ".m3u8": "hls",
+};
+
+export default {
+    id: "direct",
+    name: "Direct MP4/HLS links",
+    serviceId: "5",
+    fallback: true,
+    parse(url) {
+        const pathname = url.pathname.toLowerCase();
+        const extension = Object.keys(FORMATS).find((ext) => pathname.endsWith(ext));
+        if (!extension) {
+            return null;
+        }
+
+        const normalized = new URL(url.href);
+        normalized.hash = "";
+        return { mediaId: normalized.href, url: normalized.href, format: FORMATS[extension] };
+    },
+};
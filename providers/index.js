@@ -0,0 +1,86 @@
+import { readdir } from "fs/promises";
+import { fileURLToPath, pathToFileURL } from "url";
+import path from "path";
+
+// Video provider registry.
+// Every other module in this directory (except "_"-prefixed helpers) is a provider whose default export looks like:
+//   { id, name, serviceId, parse(url: URL) => { mediaId, url } | null }
+// `parse` gets an already-validated http(s) URL and returns the canonical media id and URL,
+// or null when the URL isn't one of its own. Adding a provider means dropping in a module.
+
+export const MAX_URL_LENGTH = 2048;
+
+// Raised for malformed or unsupported URLs; `code` lets callers tell the two apart
+export class VideoSourceError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "VideoSourceError";
+        this.code = code;
+    }
+}
+
+const dir = path.dirname(fileURLToPath(import.meta.url));
+
+const loadProviders = async () => {
+    const files = (await readdir(dir))
+        .filter((file) => file.endsWith(".js") && file !== "index.js" && !file.startsWith("_"))
+        .sort();
+
+    const modules = await Promise.all(files.map((file) => import(pathToFileURL(path.join(dir, file)).href)));
+    const providers = modules.map((mod) => mod.default);
+
+    const seen = new Set();
+    for (const provider of providers) {
+        if (!provider || typeof provider.parse !== "function" || !provider.serviceId) {
+            throw new Error(`Invalid video provider module in ${dir}`);
+        }
+        if (seen.has(provider.serviceId)) {
+            throw new Error(`Duplicate video provider serviceId "${provider.serviceId}"`);
+        }
+        seen.add(provider.serviceId);
+    }
+
+    // Providers with a catch-all matcher (e.g. direct files) declare `fallback` and go last
+    return providers.sort((a, b) => Number(Boolean(a.fallback)) - Number(Boolean(b.fallback)));
+};
+
+const providers = await loadProviders();
+
+export const getProviders = () => providers.map(({ id, name, serviceId }) => ({ id, name, serviceId }));
+
+export const getProviderByServiceId = (serviceId) => providers.find((p) => p.serviceId === serviceId) || null;
+
+// Recognize and normalize a user-supplied video URL.
+// Returns { provider, serviceId, mediaId, url, ...extras } or throws VideoSourceError.
+export const resolveVideoUrl = (rawUrl) => {
+    if (typeof rawUrl !== "string" || rawUrl.trim().length === 0) {
+        throw new VideoSourceError("INVALID_URL", "Video URL must be a non-empty string");
+    }
+
+    if (rawUrl.length > MAX_URL_LENGTH) {
+        throw new VideoSourceError("INVALID_URL", `Video URL must be at most ${MAX_URL_LENGTH} characters`);
+    }
+
+    let url;
+    try {
+        url = new URL(rawUrl.trim());
+    } catch {
+        throw new VideoSourceError("INVALID_URL", `Malformed video URL: ${rawUrl}`);
+    }
+
+    if (url.protocol !== "http:" && url.protocol !== "https:") {
+        throw new VideoSourceError("INVALID_URL", "Video URL must use http or https");
+    }
+
+    for (const provider of providers) {
+        const match = provider.parse(url);
+        if (match) {
+            return { ...match, provider: provider.id, serviceId: provider.serviceId };
+        }
+    }
+
+    throw new VideoSourceError(
+        "UNSUPPORTED_PROVIDER",
+        `Unsupported video URL. Supported sources: ${providers.map((p) => p.name).join(", ")}`
+    );
+};
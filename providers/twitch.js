@@ -0,0 +1,22 @@
+import { hostIs } from "./_helpers.js";
+
+// Twitch VODs only: twitch.tv/videos/ID or player.twitch.tv/?video=vID. Live channels can't be synced.
+export default {
+    id: "twitch",
+    name: "Twitch VODs",
+    serviceId: "3",
+    parse(url) {
+        let id = null;
+        if (hostIs(url, "twitch.tv")) {
+            const match = url.pathname.match(/^\/videos\/(\d+)\/?$/);
+            id = match && match[1];
+        } else if (hostIs(url, "player.twitch.tv")) {
+            id = (url.searchParams.get("video") || "").replace(/^v/, "");
+        }
+
+        if (!id || !/^\d+$/.test(id)) {
+            return null;
+        }
+        return { mediaId: id, url: `https://www.twitch.tv/videos/${id}` };
+    },
+};
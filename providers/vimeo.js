@@ -0,0 +1,26 @@
+import { hostIs } from "./_helpers.js";
+
+// vimeo.com/ID, vimeo.com/ID/HASH (unlisted), vimeo.com/channels/x/ID,
+// vimeo.com/groups/x/videos/ID, player.vimeo.com/video/ID?h=HASH
+export default {
+    id: "vimeo",
+    name: "Vimeo",
+    serviceId: "2",
+    parse(url) {
+        if (!hostIs(url, "vimeo.com", "player.vimeo.com")) {
+            return null;
+        }
+
+        const segments = url.pathname.split("/").filter(Boolean);
+        const index = segments.findIndex((segment) => /^\d+$/.test(segment));
+        if (index === -1) {
+            return null;
+        }
+
+        const id = segments[index];
+        const hash = url.searchParams.get("h") || segments[index + 1];
+        const mediaId = hash && /^[0-9a-f]+$/i.test(hash) ? `${id}/${hash}` : id;
+
+        return { mediaId, url: `https://vimeo.com/${mediaId}` };
+    },
+};
@@ -0,0 +1,34 @@
+import { hostIs } from "./_helpers.js";
+
+const ID_PATTERN = /^[A-Za-z0-9_-]{11}$/;
+
+// youtube.com/watch?v=ID, youtu.be/ID, youtube.com/{embed,shorts,live,v}/ID, music.youtube.com
+const extractId = (url) => {
+    if (hostIs(url, "youtu.be")) {
+        return url.pathname.split("/")[1];
+    }
+
+    if (!hostIs(url, "youtube.com", "music.youtube.com", "youtube-nocookie.com")) {
+        return null;
+    }
+
+    if (url.pathname === "/watch") {
+        return url.searchParams.get("v");
+    }
+
+    const [, prefix, id] = url.pathname.split("/");
+    return ["embed", "shorts", "live", "v"].includes(prefix) ? id : null;
+};
+
+export default {
+    id: "youtube",
+    name: "YouTube",
+    serviceId: "1",
+    parse(url) {
+        const id = extractId(url);
+        if (!id || !ID_PATTERN.test(id)) {
+            return null;
+        }
+        return { mediaId: id, url: `https://www.youtube.com/watch?v=${id}` };
+    },
+};
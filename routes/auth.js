@@ -1,33 +1,217 @@
 import express from "express";
 import bcrypt from "bcrypt";
-import jwt from "jsonwebtoken";
+import multer from "multer";
 import User from "../models/User.js";
+import { requireAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { ERROR_CODES, sendError } from "../utils/errors.js";
+import {
+    RefreshTokenError,
+    issueTokenPair,
+    revokeAllRefreshTokens,
+    revokeRefreshToken,
+    rotateRefreshToken,
+} from "../services/tokens.js";
+import {
+    CASE_INSENSITIVE,
+    assertAvailable,
+    normalizeEmail,
+    propagateProfile,
+    serializeUser,
+    toConflictError,
+    validateEmail,
+    validatePassword,
+    validateUsername,
+} from "../services/users.js";
+import { ALLOWED_AVATAR_TYPES, maxAvatarBytes, removeAvatar, setAvatar } from "../services/avatars.js";
 
 const router = express.Router();
 
-router.post("/signup", async (req, res) => {
-    console.log(req.body);
-    const { name, email, password } = req.body;
+// Accounts are throttled by email, whichever IP the attempts come from
+const signinAccount = (req) => normalizeEmail(req.body?.email) || null;
 
-    const hashedPassword = await bcrypt.hash(password, 10);
+// ✅ Sign up: `username` (or the older `name`), email and password
+router.post("/signup", rateLimit("auth:signup"), async (req, res) => {
+    try {
+        const { name, username = name, email, password } = req.body || {};
+        const fields = {
+            username: validateUsername(username),
+            email: validateEmail(email),
+        };
+        validatePassword(password);
+        await assertAvailable(fields);
 
-    const newUser = new User({ username: name, email, password: hashedPassword });
-    await newUser.save();
+        const newUser = await User.create({ ...fields, password: await bcrypt.hash(password, 10) });
+        const tokens = await issueTokenPair(newUser._id);
 
-    res.status(201).json({ message: "User created successfully", user: newUser });
+        console.log(`🆕 User signed up: ${newUser._id}`);
+        res.status(201).json({
+            message: "User created successfully",
+            ...tokens,
+            userId: newUser._id,
+            user: serializeUser(newUser),
+        });
+    } catch (error) {
+        sendError(res, toConflictError(error), "Failed to create user");
+    }
+});
+
+router.post("/signin", rateLimit("auth:signin", { account: signinAccount }), async (req, res) => {
+    try {
+        const { email, password } = req.body || {};
+        const user = await User.findOne({ email: normalizeEmail(email) }).collation(CASE_INSENSITIVE);
+
+        if (!user || typeof password !== "string" || !(await bcrypt.compare(password, user.password))) {
+            // `message` is what this answered with before (as a 400); kept until clients read `error`
+            return res.status(401).json({
+                error: "Invalid credentials",
+                code: "INVALID_CREDENTIALS",
+                message: "Invalid credentials",
+            });
+        }
+
+        const tokens = await issueTokenPair(user._id);
+        res.json({ ...tokens, userId: user._id, user: serializeUser(user) });
+    } catch (error) {
+        sendError(res, error, "Failed to sign in");
+    }
+});
+
+// Trade a refresh token for a new access token and a new refresh token (the old one stops working)
+router.post("/refresh", rateLimit("auth:refresh"), async (req, res) => {
+    try {
+        const { userId, token, refreshToken } = await rotateRefreshToken(req.body?.refreshToken);
+        res.json({ token, refreshToken, userId });
+    } catch (error) {
+        if (error instanceof RefreshTokenError) {
+            return res.status(401).json({ error: error.message, code: error.code });
+        }
+        sendError(res, error, "Failed to refresh token");
+    }
+});
+
+// Revoke the given refresh token, or every session of the user with `all: true`.
+// Access tokens already issued stay valid until they expire.
+router.post("/logout", requireAuth, async (req, res) => {
+    try {
+        const { refreshToken, all = false } = req.body || {};
+        if (all === true) {
+            await revokeAllRefreshTokens(req.userId);
+        } else {
+            await revokeRefreshToken(req.userId, refreshToken);
+        }
+        res.json({ message: "Logged out" });
+    } catch (error) {
+        sendError(res, error, "Failed to log out");
+    }
+});
+
+// Changing the password signs out every other session; the caller gets a fresh token pair
+router.post("/change-password", requireAuth, rateLimit("auth:change-password"), async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body || {};
+        validatePassword(newPassword, "newPassword");
+
+        const user = await User.findById(req.userId);
+        if (!user || typeof currentPassword !== "string" || !(await bcrypt.compare(currentPassword, user.password))) {
+            return res.status(401).json({ error: "Current password is incorrect", code: "INVALID_CREDENTIALS" });
+        }
+
+        user.password = await bcrypt.hash(newPassword, 10);
+        user.passwordChangedAt = new Date();
+        await user.save();
+
+        await revokeAllRefreshTokens(user._id);
+        const tokens = await issueTokenPair(user._id);
+
+        console.log(`🔑 Password changed for user ${user._id}`);
+        res.json({ message: "Password changed", ...tokens });
+    } catch (error) {
+        sendError(res, error, "Failed to change password");
+    }
 });
 
-router.post("/signin", async (req, res) => {
-    console.log(req.body)
-    const { email, password } = req.body;
-    const user = await User.findOne({ email });
+router.get("/me", requireAuth, (req, res) => {
+    res.json({ user: serializeUser(req.user) });
+});
+
+// Edit username and/or email; rooms the user is in pick up the new values
+router.patch("/me", requireAuth, async (req, res) => {
+    try {
+        const { username, email } = req.body || {};
+        const changes = {};
+        if (username !== undefined) {
+            changes.username = validateUsername(username);
+        }
+        if (email !== undefined) {
+            changes.email = validateEmail(email);
+        }
+
+        if (Object.keys(changes).length === 0) {
+            return res.status(400).json({ error: "Nothing to update", code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        await assertAvailable(changes, req.userId);
+        const user = await User.findByIdAndUpdate(req.userId, { $set: changes }, { new: true }).lean();
+        if (!user) {
+            return res.status(404).json({ error: "User not found", code: ERROR_CODES.NOT_FOUND });
+        }
 
-    if (!user || !(await bcrypt.compare(password, user.password))) {
-        return res.status(400).json({ message: "Invalid credentials" });
+        await propagateProfile(req.userId, changes);
+        res.json({ user: serializeUser(user) });
+    } catch (error) {
+        sendError(res, toConflictError(error), "Failed to update profile");
     }
+});
+
+// Read the `avatar` file field into memory, rejecting oversized or non-image uploads up front.
+// The content itself is checked again in setAvatar, since the declared type can't be trusted.
+const receiveAvatar = (req, res, next) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxAvatarBytes(), files: 1 },
+        fileFilter: (req, file, done) => done(null, ALLOWED_AVATAR_TYPES.includes(file.mimetype)),
+    }).single("avatar");
 
-    const token = jwt.sign({ id: user._id }, process.env.JWT_SECRET, { expiresIn: "1h" });
-    res.json({ token, userId: user._id, user: user });
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === "LIMIT_FILE_SIZE";
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? `Avatar must be at most ${maxAvatarBytes()} bytes` : error.message,
+                code: ERROR_CODES.VALIDATION_ERROR,
+            });
+        }
+        if (error) {
+            return next(error);
+        }
+        if (!req.file) {
+            return res.status(400).json({
+                error: `Upload an image (${ALLOWED_AVATAR_TYPES.join(", ")}) in the "avatar" field`,
+                code: ERROR_CODES.VALIDATION_ERROR,
+            });
+        }
+        next();
+    });
+};
+
+// Upload a new avatar (multipart/form-data, field "avatar"); the previous upload is deleted
+router.put("/me/avatar", requireAuth, rateLimit("auth:avatar"), receiveAvatar, async (req, res) => {
+    try {
+        const user = await setAvatar(req.userId, req.file.buffer);
+        console.log(`🖼️ Avatar updated for user ${req.userId}`);
+        res.json({ user: serializeUser(user) });
+    } catch (error) {
+        sendError(res, error, "Failed to upload avatar");
+    }
+});
+
+router.delete("/me/avatar", requireAuth, async (req, res) => {
+    try {
+        const user = await removeAvatar(req.userId);
+        res.json({ user: serializeUser(user) });
+    } catch (error) {
+        sendError(res, error, "Failed to remove avatar");
+    }
 });
 
 export default router;
@@ -0,0 +1,44 @@
+import express from "express";
+import PartySession from "../models/PartySession.js";
+import { requireAuth } from "../middleware/auth.js";
+import { findUserSessions, serializeSession, serializeSessionSummary } from "../services/history.js";
+import { ERROR_CODES, sendError } from "../utils/errors.js";
+import { isValidObjectId } from "../utils/validation.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// ✅ Watch parties the caller took part in, newest first: ?page=&limit=
+router.get("/", async (req, res) => {
+    try {
+        const { sessions, ...pageInfo } = await findUserSessions(req.userId, req.query);
+        res.json({
+            sessions: sessions.map((session) => serializeSessionSummary(session, req.userId)),
+            ...pageInfo,
+        });
+    } catch (error) {
+        sendError(res, error, "Failed to list watch history");
+    }
+});
+
+// ✅ One party in full (participants only): who was there when, and what was watched
+router.get("/:sessionId", async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+        if (!isValidObjectId(sessionId)) {
+            return res.status(400).json({ error: "Invalid sessionId", code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const session = await PartySession.findById(sessionId).lean();
+        if (!session || !session.participants.some((participant) => participant.id.toString() === req.userId)) {
+            return res.status(404).json({ error: "Session not found", code: ERROR_CODES.NOT_FOUND });
+        }
+
+        res.json({ session: serializeSession(session) });
+    } catch (error) {
+        sendError(res, error, "Failed to get session");
+    }
+});
+
+export default router;
@@ -1,11 +1,60 @@
 import express from "express";
 import Message from "../models/Message.js";
+import Room from "../models/Room.js";
+import { requireAuth } from "../middleware/auth.js";
+import { buildHistoryQuery, serializeMessage } from "../services/messages.js";
+import { ERROR_CODES, sendError } from "../utils/errors.js";
+import { isValidObjectId } from "../utils/validation.js";
 
 const router = express.Router();
 
+router.use(requireAuth);
+
+// ✅ Message history: cursor-paginated, filterable by sender/time, searchable.
+// Messages come back oldest first; pass cursors.before (or cursors.after) to get the next page.
 router.get("/:roomId", async (req, res) => {
-    const messages = await Message.find({ room: req.params.roomId }).populate("sender");
-    res.json(messages);
+    const { roomId } = req.params;
+    if (!isValidObjectId(roomId)) {
+        return res.status(400).json({ error: "Invalid roomId", code: ERROR_CODES.VALIDATION_ERROR });
+    }
+
+    try {
+        const query = buildHistoryQuery(roomId, req.query);
+        const room = await Room.findById(roomId).select("users.id admin state").lean();
+        if (!room) {
+            return res.status(404).json({ error: "Room not found", code: ERROR_CODES.NOT_FOUND });
+        }
+
+        // The chat of an ended room stays readable by its host until it is archived
+        const isEndedHost = room.state === "ended" && room.admin.toString() === req.userId;
+        if (!isEndedHost && !room.users.some((u) => u.id.toString() === req.userId)) {
+            return res.status(403).json({ error: "You are not a member of this room", code: ERROR_CODES.NOT_IN_ROOM });
+        }
+
+        // Fetch one extra to know whether another page exists
+        const docs = await Message.find(query.filter)
+            .sort(query.sort)
+            .limit(query.limit + 1)
+            .lean();
+
+        const hasMore = docs.length > query.limit;
+        const page = docs.slice(0, query.limit);
+        if (query.sort._id === -1) {
+            page.reverse();
+        }
+
+        const messages = page.map(serializeMessage);
+        res.json({
+            messages,
+            hasMore,
+            cursors: {
+                before: messages.length > 0 ? messages[0]._id : null,
+                after: messages.length > 0 ? messages[messages.length - 1]._id : null,
+            },
+        });
+    } catch (error) {
+        sendError(res, error, "Failed to get messages");
+    }
 });
 
 export default router;
@@ -0,0 +1,216 @@
+import express from "express";
+import ScheduledParty from "../models/ScheduledParty.js";
+import User from "../models/User.js";
+import { requireAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import {
+    RSVP_RESPONSES,
+    buildPartyUpdate,
+    canViewParty,
+    partyAudience,
+    partyNotice,
+    partyRules,
+    respondToParty,
+    serializeParty,
+} from "../services/parties.js";
+import { armParty, unscheduleParty } from "../services/partyScheduler.js";
+import { ERROR_CODES, sendError } from "../utils/errors.js";
+import { isValidObjectId, validatePayload } from "../utils/validation.js";
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Helper function to load a party the caller hosts or is invited to, answering 400/404 itself when
+// it can't (parties of other people look the same as missing ones)
+const loadParty = async (req, res) => {
+    const { partyId } = req.params;
+    if (!isValidObjectId(partyId)) {
+        res.status(400).json({ error: "Invalid partyId", code: ERROR_CODES.VALIDATION_ERROR });
+        return null;
+    }
+
+    const party = await ScheduledParty.findById(partyId).lean();
+    if (!party || !canViewParty(party, req.userId)) {
+        res.status(404).json({ error: "Party not found", code: ERROR_CODES.NOT_FOUND });
+        return null;
+    }
+    return party;
+};
+
+// Helper function to load a party the caller hosts and that hasn't happened yet
+const loadOwnScheduledParty = async (req, res) => {
+    const party = await loadParty(req, res);
+    if (!party) {
+        return null;
+    }
+
+    if (party.host.toString() !== req.userId) {
+        res.status(403).json({ error: "Only the host can change this party", code: ERROR_CODES.FORBIDDEN });
+        return null;
+    }
+    if (party.status !== "scheduled") {
+        res.status(409).json({ error: `This party is already ${party.status}`, code: ERROR_CODES.CONFLICT });
+        return null;
+    }
+    return party;
+};
+
+const notifyInvited = (io, party, userIds) => {
+    for (const userId of userIds) {
+        io.to(`user:${userId}`).emit("party-invited", partyNotice(party));
+    }
+};
+
+// ✅ Upcoming and running parties the caller hosts or is invited to, soonest first
+router.get("/", async (req, res) => {
+    try {
+        const parties = await ScheduledParty.find({
+            $or: [{ host: req.userId }, { "invitees.id": req.userId }],
+            status: { $in: ["scheduled", "started"] },
+        })
+            .sort({ startsAt: 1 })
+            .lean();
+
+        res.json({ parties: parties.map(serializeParty) });
+    } catch (error) {
+        sendError(res, error, "Failed to list parties");
+    }
+});
+
+// ✅ Schedule a party: title and startsAt are required (see partyRules)
+router.post("/", rateLimit("party:create"), async (req, res) => {
+    try {
+        const input = validatePayload(
+            {
+                ...partyRules,
+                title: { ...partyRules.title, required: true },
+                startsAt: { ...partyRules.startsAt, required: true },
+            },
+            req.body
+        );
+
+        const host = await User.findById(req.userId).select("username").lean();
+        if (!host) {
+            return res.status(404).json({ error: "User not found", code: ERROR_CODES.NOT_FOUND });
+        }
+
+        const fields = await buildPartyUpdate(input, req.userId);
+        const created = await ScheduledParty.create({ ...fields, host: req.userId, hostName: host.username });
+        const party = created.toObject();
+
+        const io = req.app.get("io");
+        armParty(io, party);
+        notifyInvited(io, party, party.invitees.map((invitee) => invitee.id.toString()));
+
+        console.log(`📅 Party ${party._id} scheduled by ${req.userId} for ${party.startsAt.toISOString()}`);
+        res.status(201).json({ party: serializeParty(party) });
+    } catch (error) {
+        sendError(res, error, "Failed to schedule party");
+    }
+});
+
+router.get("/:partyId", async (req, res) => {
+    try {
+        const party = await loadParty(req, res);
+        if (party) {
+            res.json({ party: serializeParty(party) });
+        }
+    } catch (error) {
+        sendError(res, error, "Failed to get party");
+    }
+});
+
+// ✅ Edit a party that hasn't started (host only); moving it re-arms the timers and the reminder
+router.patch("/:partyId", async (req, res) => {
+    try {
+        const party = await loadOwnScheduledParty(req, res);
+        if (!party) {
+            return;
+        }
+
+        const input = validatePayload(partyRules, req.body);
+        const update = await buildPartyUpdate(input, req.userId, party);
+        if (Object.keys(update).length === 0) {
+            return res.status(400).json({ error: "Nothing to update", code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const updated = await ScheduledParty.findOneAndUpdate(
+            { _id: party._id, status: "scheduled" },
+            { $set: update },
+            { new: true }
+        ).lean();
+        if (!updated) {
+            return res.status(409).json({ error: "This party has already started", code: ERROR_CODES.CONFLICT });
+        }
+
+        const io = req.app.get("io");
+        armParty(io, updated);
+
+        const wasInvited = new Set(party.invitees.map((invitee) => invitee.id.toString()));
+        const newcomers = updated.invitees.map((invitee) => invitee.id.toString()).filter((id) => !wasInvited.has(id));
+        notifyInvited(io, updated, newcomers);
+        for (const userId of partyAudience(updated)) {
+            io.to(`user:${userId}`).emit("party-updated", partyNotice(updated));
+        }
+
+        res.json({ party: serializeParty(updated) });
+    } catch (error) {
+        sendError(res, error, "Failed to update party");
+    }
+});
+
+// ✅ Cancel a party that hasn't started (host only)
+router.delete("/:partyId", async (req, res) => {
+    try {
+        const party = await loadOwnScheduledParty(req, res);
+        if (!party) {
+            return;
+        }
+
+        const cancelled = await ScheduledParty.findOneAndUpdate(
+            { _id: party._id, status: "scheduled" },
+            { $set: { status: "cancelled" } },
+            { new: true }
+        ).lean();
+        if (!cancelled) {
+            return res.status(409).json({ error: "This party has already started", code: ERROR_CODES.CONFLICT });
+        }
+
+        unscheduleParty(party._id);
+        const io = req.app.get("io");
+        for (const userId of partyAudience(cancelled)) {
+            io.to(`user:${userId}`).emit("party-cancelled", partyNotice(cancelled));
+        }
+
+        console.log(`🚫 Party ${party._id} cancelled`);
+        res.json({ party: serializeParty(cancelled) });
+    } catch (error) {
+        sendError(res, error, "Failed to cancel party");
+    }
+});
+
+// ✅ RSVP (invitees only): { response: "going" | "maybe" | "declined" }; the host is notified
+router.post("/:partyId/rsvp", async (req, res) => {
+    try {
+        const party = await loadParty(req, res);
+        if (!party) {
+            return;
+        }
+
+        if (party.host.toString() === req.userId) {
+            return res.status(400).json({ error: "The host doesn't RSVP", code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const { response } = validatePayload(
+            { response: { type: "enum", values: RSVP_RESPONSES, required: true } },
+            req.body
+        );
+        const updated = await respondToParty(req.app.get("io"), party._id, req.userId, response);
+        res.json({ party: serializeParty(updated) });
+    } catch (error) {
+        sendError(res, error, "Failed to RSVP");
+    }
+});
+
+export default router;
@@ -1,40 +1,444 @@
 import express from "express";
+import multer from "multer";
 import Room from "../models/Room.js";
+import ModerationLog from "../models/ModerationLog.js";
+import TimelineReaction from "../models/TimelineReaction.js";
+import PartySession from "../models/PartySession.js";
+import SubtitleTrack from "../models/SubtitleTrack.js";
+import { requireAuth } from "../middleware/auth.js";
+import { rateLimit } from "../middleware/rateLimit.js";
+import { normalizeInviteCode } from "../services/roomAccess.js";
+import { closeRoom, isRoomOpen, serializeLifecycle } from "../services/lifecycle.js";
+import { can } from "../services/permissions.js";
+import {
+    buildRoomSnapshot,
+    createRoom,
+    reopenRoom,
+    roomSettingsRules,
+    serializeRoomPreview,
+    serializeRoomSummary,
+    updateRoomSettings,
+} from "../services/rooms.js";
+import { serializeLogEntry } from "../services/moderation.js";
+import {
+    DEFAULT_BUCKET_SECONDS,
+    MAX_BUCKET_SECONDS,
+    MIN_BUCKET_SECONDS,
+    bucketReactions,
+} from "../services/timeline.js";
+import { buildDirectoryQuery, serializeDirectoryEntry } from "../services/directory.js";
+import { buildRoomStats } from "../services/history.js";
+import {
+    addSubtitleTrack,
+    listVideoTracks,
+    maxSubtitleBytes,
+    removeSubtitleTrack,
+    serializeTrack,
+    setActiveTrack,
+    subtitleRules,
+} from "../services/subtitles.js";
+import { ERROR_CODES, sendError } from "../utils/errors.js";
+import { isValidObjectId, validatePayload } from "../utils/validation.js";
 
 const router = express.Router();
 
-// ✅ Create Room
-router.post("/create", async (req, res) => {
-    const { name, admin } = req.body;
+router.use(requireAuth);
 
+// Helper function to load a room by the :roomId param, answering 400/404 itself when it can't
+const loadRoom = async (req, res) => {
+    const { roomId } = req.params;
+    if (!isValidObjectId(roomId)) {
+        res.status(400).json({ error: "Invalid roomId", code: ERROR_CODES.VALIDATION_ERROR });
+        return null;
+    }
+
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        res.status(404).json({ error: "Room not found", code: ERROR_CODES.NOT_FOUND });
+        return null;
+    }
+    return room;
+};
+
+const isMember = (room, userId) => room.users.some((u) => u.id.toString() === userId);
+
+// ✅ Directory of public rooms: ?q=&tags=a,b&sort=live|recent&page=&limit= (see buildDirectoryQuery)
+router.get("/", async (req, res) => {
     try {
-        const room = new Room({
-            name,
-            admin,   // Store admin ID
-            users: [admin],
+        const { pipeline, page, limit } = buildDirectoryQuery(req.query);
+        const [result] = await Room.aggregate(pipeline);
+        const total = result.total[0]?.count || 0;
+
+        res.json({
+            rooms: result.rooms.map(serializeDirectoryEntry),
+            page,
+            limit,
+            total,
+            hasMore: page * limit < total,
         });
+    } catch (error) {
+        sendError(res, error, "Failed to list rooms");
+    }
+});
+
+// ✅ Rooms the caller is in (hosting or not) and ended rooms they host, newest first; registered
+// before /:roomId
+router.get("/mine", async (req, res) => {
+    try {
+        const rooms = await Room.find({
+            $or: [{ "users.id": req.userId }, { admin: req.userId, state: "ended" }],
+        })
+            .sort({ createdAt: -1 })
+            .lean();
+        res.json({ rooms: rooms.map((room) => serializeRoomSummary(room, req.userId)) });
+    } catch (error) {
+        sendError(res, error, "Failed to list your rooms");
+    }
+});
+
+// ✅ Create Room: same settings and rules as the create-room socket event (see roomSettingsRules).
+// The caller's sockets join it with join-room.
+router.post("/create", rateLimit("create-room"), async (req, res) => {
+    try {
+        const options = validatePayload(roomSettingsRules, req.body);
+        const room = await createRoom(req.app.get("io"), req.userId, options);
+        res.status(201).json({ room: await buildRoomSnapshot(room) });
+    } catch (error) {
+        sendError(res, error, "Failed to create room");
+    }
+});
+
+// ✅ Resolve an invite code to a room preview (registered before /:roomId so it isn't shadowed)
+router.get("/invite/:code", async (req, res) => {
+    try {
+        const room = await Room.findOne({ inviteCode: normalizeInviteCode(req.params.code) }).lean();
 
-        await room.save();
-        res.json(room);
+        if (!room) {
+            return res.status(404).json({ error: "Invite code not found", code: ERROR_CODES.NOT_FOUND });
+        }
+
+        res.json(serializeRoomPreview(room));
     } catch (error) {
-        res.status(500).json({ error: "Failed to create room" });
+        sendError(res, error, "Failed to resolve invite code");
     }
 });
 
-// ✅ Get Room Info (including admin)
+// ✅ Get Room Info: the full snapshot for participants, a preview for everyone else.
+// Private rooms are only visible to their participants (and host, once ended).
 router.get("/:roomId", async (req, res) => {
     try {
-        const room = await Room.findById(req.params.roomId)
-            .populate("admin")
-            .populate("users");
+        const room = await loadRoom(req, res);
+        if (!room) {
+            return;
+        }
+
+        if (isMember(room, req.userId)) {
+            return res.json({ member: true, room: await buildRoomSnapshot(room) });
+        }
+        if (room.visibility === "private" && room.admin.toString() !== req.userId) {
+            return res.status(404).json({ error: "Room not found", code: ERROR_CODES.NOT_FOUND });
+        }
+        res.json({ member: false, room: serializeRoomPreview(room) });
+    } catch (error) {
+        sendError(res, error, "Failed to get room info");
+    }
+});
+
+// ✅ Update settings (host only): any of the access and listing fields create accepts
+router.patch("/:roomId", async (req, res) => {
+    try {
+        const room = await loadRoom(req, res);
+        if (!room) {
+            return;
+        }
+
+        if (!can(room, req.userId, "manage-room")) {
+            return res.status(403).json({
+                error: "Only the host can change room settings",
+                code: ERROR_CODES.FORBIDDEN,
+            });
+        }
+
+        const settings = validatePayload(roomSettingsRules, req.body);
+        const updated = await updateRoomSettings(req.app.get("io"), room._id.toString(), settings);
+        res.json({ member: true, room: await buildRoomSnapshot(updated) });
+    } catch (error) {
+        sendError(res, error, "Failed to update room settings");
+    }
+});
+
+// ✅ End Room (host only): everyone connected is sent room-dismissed. The room and its chat are
+// kept for the retention window, during which the host can reopen it (see services/lifecycle.js).
+router.delete("/:roomId", async (req, res) => {
+    try {
+        const room = await loadRoom(req, res);
+        if (!room) {
+            return;
+        }
+
+        if (room.admin.toString() !== req.userId) {
+            return res.status(403).json({ error: "Only the host can end the room", code: ERROR_CODES.FORBIDDEN });
+        }
+
+        if (!isRoomOpen(room)) {
+            return res.status(409).json({ error: "This room has already ended", code: ERROR_CODES.CONFLICT });
+        }
+
+        const ended = await closeRoom(req.app.get("io"), room._id.toString(), "host");
+        if (!ended) {
+            return res.status(409).json({ error: "This room has already ended", code: ERROR_CODES.CONFLICT });
+        }
+        res.json({ roomId: room._id.toString(), ended: true, lifecycle: serializeLifecycle(ended) });
+    } catch (error) {
+        sendError(res, error, "Failed to end room");
+    }
+});
+
+// ✅ Reopen an ended room (host only, within the retention window); the host's sockets then
+// join it with join-room
+router.post("/:roomId/reopen", async (req, res) => {
+    try {
+        const room = await loadRoom(req, res);
+        if (!room) {
+            return;
+        }
+
+        const reopened = await reopenRoom(req.app.get("io"), room, req.userId);
+        res.json({ room: await buildRoomSnapshot(reopened) });
+    } catch (error) {
+        sendError(res, error, "Failed to reopen room");
+    }
+});
 
+// ✅ Moderation log (host only), newest first
+router.get("/:roomId/moderation-log", async (req, res) => {
+    try {
+        const room = await loadRoom(req, res);
         if (!room) {
-            return res.status(404).json({ error: "Room not found" });
+            return;
+        }
+
+        if (!can(room, req.userId, "manage-room")) {
+            return res.status(403).json({
+                error: "Only the host can read the moderation log",
+                code: ERROR_CODES.FORBIDDEN,
+            });
+        }
+
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+        const entries = await ModerationLog.find({ room: room._id }).sort({ timestamp: -1 }).limit(limit).lean();
+
+        res.json({ entries: entries.map(serializeLogEntry) });
+    } catch (error) {
+        sendError(res, error, "Failed to get moderation log");
+    }
+});
+
+// ✅ Timeline reactions for one video, bucketed by playback position (for scrubber heatmaps
+// and replay). Defaults to the room's current video; pass serviceId + mediaId for another one.
+router.get("/:roomId/timeline", async (req, res) => {
+    try {
+        const bucketSize = req.query.bucketSize === undefined ? DEFAULT_BUCKET_SECONDS : Number(req.query.bucketSize);
+        if (!Number.isFinite(bucketSize) || bucketSize < MIN_BUCKET_SECONDS || bucketSize > MAX_BUCKET_SECONDS) {
+            return res.status(400).json({
+                error: `Invalid bucketSize: must be between ${MIN_BUCKET_SECONDS} and ${MAX_BUCKET_SECONDS} seconds`,
+                code: ERROR_CODES.VALIDATION_ERROR,
+            });
+        }
+
+        const room = await loadRoom(req, res);
+        if (!room) {
+            return;
+        }
+
+        if (!isMember(room, req.userId)) {
+            return res.status(403).json({ error: "You are not a member of this room", code: ERROR_CODES.NOT_IN_ROOM });
+        }
+
+        const serviceId = typeof req.query.serviceId === "string" ? req.query.serviceId : room.serviceId;
+        const mediaId = typeof req.query.mediaId === "string" ? req.query.mediaId : room.mediaId;
+        if (!serviceId || !mediaId) {
+            return res.status(400).json({
+                error: "No video selected: pass serviceId and mediaId",
+                code: ERROR_CODES.VALIDATION_ERROR,
+            });
+        }
+
+        const reactions = await TimelineReaction.find({ room: room._id, serviceId, mediaId })
+            .sort({ position: 1 })
+            .lean();
+
+        res.json({
+            serviceId,
+            mediaId,
+            bucketSize,
+            total: reactions.length,
+            buckets: bucketReactions(reactions, bucketSize),
+        });
+    } catch (error) {
+        sendError(res, error, "Failed to get timeline reactions");
+    }
+});
+
+// ✅ Analytics for the host's dashboard. Still available once the room has ended: the party's
+// host can read them then, and while it is open so can anyone who manages the room.
+router.get("/:roomId/stats", async (req, res) => {
+    try {
+        const { roomId } = req.params;
+        if (!isValidObjectId(roomId)) {
+            return res.status(400).json({ error: "Invalid roomId", code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const session = await PartySession.findOne({ room: roomId }).lean();
+        if (!session) {
+            return res.status(404).json({ error: "No history for this room", code: ERROR_CODES.NOT_FOUND });
+        }
+
+        if (session.host.toString() !== req.userId) {
+            const room = await Room.findById(roomId).lean();
+            if (!room || !can(room, req.userId, "manage-room")) {
+                return res.status(403).json({
+                    error: "Only the host can read room stats",
+                    code: ERROR_CODES.FORBIDDEN,
+                });
+            }
+        }
+
+        res.json({ stats: buildRoomStats(session) });
+    } catch (error) {
+        sendError(res, error, "Failed to get room stats");
+    }
+});
+
+// Read the `subtitles` file field (.srt or .vtt) into memory; the content is checked when it's converted
+const receiveSubtitles = (req, res, next) => {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: maxSubtitleBytes(), files: 1 },
+        fileFilter: (req, file, done) => done(null, /\.(srt|vtt)$/i.test(file.originalname)),
+    }).single("subtitles");
+
+    upload(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            const tooLarge = error.code === "LIMIT_FILE_SIZE";
+            return res.status(tooLarge ? 413 : 400).json({
+                error: tooLarge ? `Subtitle files must be at most ${maxSubtitleBytes()} bytes` : error.message,
+                code: ERROR_CODES.VALIDATION_ERROR,
+            });
+        }
+        if (error) {
+            return next(error);
+        }
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'Upload an .srt or .vtt file in the "subtitles" field',
+                code: ERROR_CODES.VALIDATION_ERROR,
+            });
+        }
+        next();
+    });
+};
+
+// Helper function to load an open room whose playback the caller controls, answering 410/403 itself
+// otherwise
+const loadControlledRoom = async (req, res) => {
+    const room = await loadRoom(req, res);
+    if (room && !isRoomOpen(room)) {
+        res.status(410).json({ error: "This room has ended", code: ERROR_CODES.ROOM_ENDED });
+        return null;
+    }
+    if (room && !can(room, req.userId, "control-playback")) {
+        res.status(403).json({ error: "Only the host or co-hosts can manage subtitles", code: ERROR_CODES.FORBIDDEN });
+        return null;
+    }
+    return room;
+};
+
+// ✅ Subtitle tracks of the room's current video (participants only), without their text
+router.get("/:roomId/subtitles", async (req, res) => {
+    try {
+        const room = await loadRoom(req, res);
+        if (!room) {
+            return;
+        }
+        if (!isMember(room, req.userId)) {
+            return res.status(403).json({ error: "You are not a member of this room", code: ERROR_CODES.NOT_IN_ROOM });
+        }
+
+        const tracks = await listVideoTracks(room);
+        res.json({
+            tracks: tracks.map((track) => serializeTrack(track)),
+            activeTrackId: room.activeSubtitleId ? room.activeSubtitleId.toString() : null,
+        });
+    } catch (error) {
+        sendError(res, error, "Failed to list subtitles");
+    }
+});
+
+// ✅ Upload subtitles for the current video (host or co-hosts): multipart/form-data with an .srt
+// or .vtt file in "subtitles", and optional label, language ("en", "pt-BR"...) and activate=true
+// to switch the room to it straight away. The track is stored as WebVTT.
+router.post("/:roomId/subtitles", rateLimit("subtitles:upload"), receiveSubtitles, async (req, res) => {
+    try {
+        const room = await loadControlledRoom(req, res);
+        if (!room) {
+            return;
+        }
+
+        const fields = validatePayload(subtitleRules, req.body);
+        const io = req.app.get("io");
+        const uploader = room.users.find((u) => u.id.toString() === req.userId);
+        const track = await addSubtitleTrack(io, room, uploader, req.file.buffer, fields, req.file.originalname);
+        if (req.body.activate === "true") {
+            await setActiveTrack(io, room, track._id.toString());
+        }
+
+        res.status(201).json({ track: serializeTrack(track) });
+    } catch (error) {
+        sendError(res, error, "Failed to upload subtitles");
+    }
+});
+
+// ✅ One track as a WebVTT file (participants only)
+router.get("/:roomId/subtitles/:trackId", async (req, res) => {
+    try {
+        const room = await loadRoom(req, res);
+        if (!room) {
+            return;
+        }
+        if (!isMember(room, req.userId)) {
+            return res.status(403).json({ error: "You are not a member of this room", code: ERROR_CODES.NOT_IN_ROOM });
+        }
+        if (!isValidObjectId(req.params.trackId)) {
+            return res.status(400).json({ error: "Invalid trackId", code: ERROR_CODES.VALIDATION_ERROR });
+        }
+
+        const track = await SubtitleTrack.findOne({ _id: req.params.trackId, room: room._id }).lean();
+        if (!track) {
+            return res.status(404).json({ error: "Subtitle track not found", code: ERROR_CODES.NOT_FOUND });
+        }
+
+        res.type("text/vtt").send(track.vtt);
+    } catch (error) {
+        sendError(res, error, "Failed to get subtitles");
+    }
+});
+
+// ✅ Delete a track (host or co-hosts); subtitles are turned off if it was the active one
+router.delete("/:roomId/subtitles/:trackId", async (req, res) => {
+    try {
+        const room = await loadControlledRoom(req, res);
+        if (!room) {
+            return;
+        }
+        if (!isValidObjectId(req.params.trackId)) {
+            return res.status(400).json({ error: "Invalid trackId", code: ERROR_CODES.VALIDATION_ERROR });
         }
 
-        res.json(room);
+        await removeSubtitleTrack(req.app.get("io"), room, req.params.trackId);
+        res.json({ trackId: req.params.trackId, deleted: true });
     } catch (error) {
-        res.status(500).json({ error: "Failed to get room info" });
+        sendError(res, error, "Failed to delete subtitles");
     }
 });
 
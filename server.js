@@ -8,9 +8,62 @@ import dotenv from "dotenv";
 import authRoutes from "./routes/auth.js";
 import roomRoutes from "./routes/room.js";
 import messageRoutes from "./routes/message.js";
+import partyRoutes from "./routes/party.js";
+import historyRoutes from "./routes/history.js";
 import Room from "./models/Room.js";
-import Message from "./models/Message.js";
 import User from "./models/User.js";
+import { socketAuth } from "./middleware/auth.js";
+import { ERROR_CODES, RequestError } from "./utils/errors.js";
+import {
+    MAX_RATE,
+    MIN_RATE,
+    getPlaybackState,
+    setPlaybackState,
+    playbackSnapshot,
+    loadVideo,
+    measureDrift,
+    driftTolerance,
+    startPlaybackSync,
+} from "./services/playback.js";
+import { resolveVideoUrl } from "./providers/index.js";
+import { registerQueueHandlers } from "./socket/queue.js";
+import { registerRoleHandlers } from "./socket/roles.js";
+import { can } from "./services/permissions.js";
+import {
+    addParticipant,
+    announceParticipants,
+    broadcastRoomDetails,
+    buildRoomSnapshot,
+    createRoom,
+    refreshParticipantStatus,
+    removeParticipant,
+    roomSettingsRules,
+    serializeParticipants,
+} from "./services/rooms.js";
+import { beginGracePeriod, resumeSession, startSessionSweeper } from "./services/sessions.js";
+import {
+    checkJoinAccess,
+    normalizeInviteCode,
+    serializeAccess,
+    serializePendingJoins,
+} from "./services/roomAccess.js";
+import { registerAccessHandlers } from "./socket/access.js";
+import { serializeListing } from "./services/directory.js";
+import { registerModerationHandlers } from "./socket/moderation.js";
+import { registerChatHandlers } from "./socket/chat.js";
+import { registerPresenceHandlers } from "./socket/presence.js";
+import { registerVoiceHandlers } from "./socket/voice.js";
+import { registerPollHandlers } from "./socket/polls.js";
+import { registerSubtitleHandlers } from "./socket/subtitles.js";
+import { onEvent, optionalId, requiredId } from "./socket/protocol.js";
+import { isPartyRoom, joinRoom, leaveRoom } from "./services/presence.js";
+import { leaveVoice } from "./services/voice.js";
+import { setupCluster } from "./services/cluster.js";
+import { trustedProxyHops } from "./services/rateLimit.js";
+import { uploadsDir } from "./services/storage/index.js";
+import { startPartyScheduler } from "./services/partyScheduler.js";
+import { isRoomOpen, startRoomSweeper } from "./services/lifecycle.js";
+import { startPollScheduler } from "./services/polls.js";
 
 dotenv.config();
 
@@ -19,6 +72,13 @@ const server = http.createServer(app);
 const io = new Server(server, {
     cors: { origin: "*", methods: ["GET", "POST"] },
 });
+// REST routes reach connected clients through req.app.get("io")
+app.set("io", io);
+
+// Behind reverse proxies, req.ip (used for rate limits) comes from X-Forwarded-For
+if (trustedProxyHops() > 0) {
+    app.set("trust proxy", trustedProxyHops());
+}
 
 app.use(express.json());
 app.use(cors());
@@ -31,517 +91,328 @@ mongoose
 app.use("/api/auth", authRoutes);
 app.use("/api/room", roomRoutes);
 app.use("/api/message", messageRoutes);
+app.use("/api/party", partyRoutes);
+app.use("/api/history", historyRoutes);
+// Avatars and other uploads kept on the local disk (see services/storage)
+app.use("/uploads", express.static(uploadsDir()));
 
 app.use('/keep-alive', (req, res) => {
     res.status(200).send({success: true});
 })
 
-// Map to store socket.id to userId mapping
-const socketToUserMap = new Map();
+// Redis adapter and shared state when REDIS_URL is set
+await setupCluster(io);
 
-// Helper function to validate ObjectId
-const isValidObjectId = (id) => {
-    if (typeof id !== "string") {
-        return false;
-    }
-    return mongoose.Types.ObjectId.isValid(id.trim());
-};
+// Every socket must present a valid JWT before any handler runs
+io.use(socketAuth);
 
-// Helper function to fetch room details
-const fetchRoomDetails = async (roomId) => {
-    try {
-        const room = await Room.findById(roomId).lean();
-        if (!room) {
-            throw new Error(`Room ${roomId} not found`);
-        }
+// Helper function to load a room whose playback the caller may control
+const findControlledRoom = async (roomId, userId, deniedMessage) => {
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
 
-        // Map the users array to the format expected by the client
-        const participants = room.users.map((user) => ({
-            id: user.id.toString(),
-            username: user.username,
-            profilePic: user.profilePic,
-            email: user.email,
-        }));
+    // The host still counts as host of an ended room, but nothing plays there any more
+    if (!isRoomOpen(room)) {
+        throw new RequestError(ERROR_CODES.ROOM_ENDED, "This room has ended");
+    }
 
-        return {
-            adminName: room.adminName,
-            participants,
-            activeUsersCount: participants.length,
-        };
-    } catch (error) {
-        console.error("Error fetching room details:", error.message);
-        return null;
+    if (!can(room, userId, "control-playback")) {
+        console.log(`❌ Unauthorized playback change by ${userId} in room ${roomId}`);
+        throw new RequestError(ERROR_CODES.FORBIDDEN, deniedMessage);
     }
+
+    return room;
 };
 
-io.on("connection", (socket) => {
-    console.log(`✅ User connected: ${socket.id}`);
+// Helper function to get the playback state of a room the socket is in
+const getSyncedState = async (socket, roomId) => {
+    if (!socket.rooms.has(roomId)) {
+        throw new RequestError(ERROR_CODES.NOT_IN_ROOM, "You are not in this room");
+    }
 
-    socket.on("create-room", async ({ userId, userName }) => {
-        console.log(`🔹 Create-room request received with userId: ${userId}, userName: ${userName}`);
-        try {
-            // Validate inputs
-            if (!userId || !isValidObjectId(userId)) {
-                throw new Error("Invalid userId: must be a valid ObjectId");
-            }
+    const state = await getPlaybackState(roomId);
+    if (!state) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
+    return state;
+};
 
-            if (!userName || typeof userName !== "string") {
-                throw new Error("Invalid userName: must be a non-empty string");
-            }
+// Playback positions in seconds
+const timeRule = { type: "number", min: 0 };
 
-            // Check if the user exists
-            const admin = await User.findById(userId).lean();
-            if (!admin) {
-                throw new Error(`User ${userId} not found`);
-            }
-
-            // Check if the user already has a room and delete it
-            const existingRoom = await Room.findOne({ admin: userId });
-            if (existingRoom) {
-                await Room.deleteOne({ admin: userId });
-                await Message.deleteMany({ room: existingRoom._id });
-                console.log(`Deleted existing room for user ${userId}: ${existingRoom._id}`);
-            }
+io.on("connection", (socket) => {
+    // Identity is bound once by socketAuth; handlers never trust ids sent in payloads
+    const userId = socket.data.userId;
+    console.log(`✅ User connected: ${socket.id} (user ${userId})`);
+
+    registerQueueHandlers(io, socket);
+    registerRoleHandlers(io, socket);
+    registerAccessHandlers(io, socket);
+    registerModerationHandlers(io, socket);
+    registerChatHandlers(io, socket);
+    registerPresenceHandlers(io, socket);
+    registerVoiceHandlers(io, socket);
+    registerPollHandlers(io, socket);
+    registerSubtitleHandlers(io, socket);
+
+    // Personal channel, so server-side actions (e.g. join approvals) can reach all of a user's sockets
+    socket.join(`user:${userId}`);
+
+    // Put a user who dropped within the grace window straight back into their rooms
+    resumeSession(io, socket).catch((error) =>
+        console.error(`Error resuming session for user ${userId}:`, error.message)
+    );
+
+    onEvent(socket, "create-room", roomSettingsRules, async (options) => {
+        console.log(`🔹 Create-room request received from userId: ${userId}`);
+        const room = await createRoom(io, userId, options);
+        const roomId = room._id.toString();
+
+        await joinRoom(socket, roomId);
+
+        const created = {
+            roomId,
+            adminId: room.admin.toString(),
+            adminName: room.adminName,
+            users: serializeParticipants(room),
+            access: serializeAccess(room),
+            listing: serializeListing(room),
+        };
+        io.to(roomId).emit("room-created", created);
 
-            // Create a new room with the admin as the first user
-            const room = new Room({
-                name: `${userName}-Room-${Date.now()}`,
-                admin: userId,
-                adminName: userName,
-                users: [
-                    {
-                        id: userId,
-                        username: admin.username,
-                        profilePic: admin.profilePic || null,
-                        email: admin.email || "No email",
-                    },
-                ],
-                videoUrl: "",
-                serviceId: "1",
-                isPlaying: false,
-                playbackTime: 0,
-            });
-
-            await room.save();
-
-            const roomId = room._id.toString();
-
-            socket.join(roomId);
-            socketToUserMap.set(socket.id, userId);
-
-            io.to(roomId).emit("room-created", {
-                roomId,
-                adminId: room.admin.toString(),
-                users: room.users.map((user) => user.id.toString()),
-                adminName: room.adminName,
-            });
-
-            console.log(`🚀 Room created: ${roomId}, Admin: ${room.admin}`);
-
-            const roomDetails = await fetchRoomDetails(roomId);
-            io.to(roomId).emit("room-details", roomDetails);
-        } catch (error) {
-            console.error("❌ Room creation failed:", error.message);
-            socket.emit("room-error", `Failed to create room: ${error.message}`);
-        }
+        await broadcastRoomDetails(io, roomId);
+        return created;
     });
 
-    socket.on("join-room", async ({ roomId, userId }) => {
-        console.log(`🔹 Join request received for Room ID: ${roomId}, userId: ${userId}`);
-        try {
-            // Validate inputs
-            if (!isValidObjectId(userId)) {
-                throw new Error("Invalid userId: must be a valid ObjectId");
+    // Join by roomId or by invite code; password is only needed for protected rooms.
+    // Acks the room snapshot, or { roomId, pending: true } while a knock waits for the host.
+    onEvent(
+        socket,
+        "join-room",
+        { roomId: optionalId, inviteCode: { type: "string", maxLength: 32 }, password: { type: "string" } },
+        async ({ roomId, inviteCode, password }) => {
+            console.log(`🔹 Join request received for Room ID: ${roomId || inviteCode}, userId: ${userId}`);
+            if (!roomId && !inviteCode) {
+                throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Missing roomId or inviteCode");
             }
 
-            if (!isValidObjectId(roomId)) {
-                throw new Error("Invalid roomId: must be a valid ObjectId");
+            if (!roomId) {
+                const invited = await Room.findOne({ inviteCode: normalizeInviteCode(inviteCode) })
+                    .select("_id")
+                    .lean();
+                if (!invited) {
+                    throw new RequestError(ERROR_CODES.NOT_FOUND, `No room found for invite code ${inviteCode}`);
+                }
+                roomId = invited._id.toString();
             }
 
-            const room = await Room.findById(roomId);
+            const room = await Room.findById(roomId).select("+passwordHash").lean();
             if (!room) {
                 console.log(`❌ Room ${roomId} does not exist in database.`);
-                socket.emit("room-error", `Room ${roomId} does not exist`);
-                return;
+                throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} does not exist`);
             }
 
             // Check if the user exists
             const user = await User.findById(userId).lean();
             if (!user) {
-                throw new Error(`User ${userId} not found`);
+                throw new RequestError(ERROR_CODES.NOT_FOUND, `User ${userId} not found`);
             }
 
-            socket.join(roomId);
-            socketToUserMap.set(socket.id, userId);
+            // Throws JoinDeniedError (ROOM_ENDED, BANNED, INVITE_REQUIRED, ROOM_LOCKED, ROOM_FULL, WRONG_PASSWORD)
+            const viaInvite = Boolean(inviteCode) && room.inviteCode === normalizeInviteCode(inviteCode);
+            const access = await checkJoinAccess(room, userId, password, { viaInvite });
 
-            // Add user to the room's users array if not already present
-            const userExists = room.users.some((u) => u.id.toString() === userId);
-            if (!userExists) {
-                await Room.findByIdAndUpdate(roomId, {
-                    $push: {
-                        users: {
-                            id: userId,
-                            username: user.username,
-                            profilePic: user.profilePic || null,
-                            email: user.email || "No email",
+            // Knock mode: wait in the pending list until the host lets the user in
+            if (access === "knock") {
+                await Room.updateOne(
+                    { _id: roomId, "pendingJoins.id": { $ne: user._id } },
+                    {
+                        $push: {
+                            pendingJoins: {
+                                id: user._id,
+                                username: user.username,
+                                profilePic: user.profilePic || null,
+                            },
                         },
-                    },
+                    }
+                );
+
+                socket.emit("join-pending", { roomId });
+                const pendingRoom = await Room.findById(roomId).lean();
+                io.to(`user:${pendingRoom.admin}`).emit("join-requests-updated", {
+                    roomId,
+                    pending: serializePendingJoins(pendingRoom),
                 });
+                console.log(`🚪 User ${userId} knocked on room ${roomId}`);
+                return { roomId, pending: true };
             }
 
-            // Fetch the updated room to get the latest users list
-            const updatedRoom = await Room.findById(roomId).lean();
+            await joinRoom(socket, roomId);
+
+            // Add user to the room's users array if not already present
+            const updatedRoom = await addParticipant(roomId, user);
 
-            socket.emit("room-joined", {
-                roomId,
-                adminId: updatedRoom.admin.toString(),
-                videoUrl: updatedRoom.videoUrl || "",
-                adminName: updatedRoom.adminName,
-                users: updatedRoom.users,
-            });
+            const snapshot = await buildRoomSnapshot(updatedRoom);
+            socket.emit("room-joined", snapshot);
 
             console.log(`✅ User ${userId} joined room ${roomId} created by ${updatedRoom.adminName}`);
-            io.to(roomId).emit("update-participants", {
-                participants: updatedRoom.users,
-            });
-
-            const roomDetails = await fetchRoomDetails(roomId);
-            if (roomDetails) {
-                io.to(roomId).emit("room-details", roomDetails);
-            } else {
-                socket.emit("room-error", `Failed to fetch room details for room ${roomId}`);
-            }
-        } catch (error) {
-            console.log(`❌ Join-room failed for room ${roomId}:`, error.message);
-            socket.emit("room-error", `Failed to join room: ${error.message}`);
+            await announceParticipants(io, roomId, updatedRoom);
+            return snapshot;
         }
-    });
+    );
 
-    socket.on("play-video", async ({ roomId, url, adminId }) => {
+    onEvent(socket, "play-video", { roomId: requiredId, url: { type: "string", required: true } }, async ({ roomId, url }) => {
         console.log("🎥 Play video request received:", url);
-        try {
-            if (!isValidObjectId(roomId)) {
-                throw new Error("Invalid roomId: must be a valid ObjectId");
-            }
-
-            const room = await Room.findById(roomId);
-            if (!room) {
-                throw new Error(`Room ${roomId} not found`);
-            }
-
-            if (room.admin.toString() !== adminId) {
-                console.log(`❌ Unauthorized attempt by ${adminId}`);
-                socket.emit("room-error", "Only the admin can set the video");
-                return;
-            }
+        await findControlledRoom(roomId, userId, "Only the host or co-hosts can set the video");
 
-            console.log(`✅ Admin authorized. Updating video for room: ${roomId}`);
+        // Throws VideoSourceError for malformed or unsupported links
+        const source = resolveVideoUrl(url);
 
-            // Update the Room document in the database
-            await Room.findByIdAndUpdate(roomId, {
-                videoUrl: url,
-                serviceId: "1",
-                isPlaying: false,
-                playbackTime: 0,
-            });
+        console.log(`✅ User authorized. Updating video for room: ${roomId}`);
 
-            io.to(roomId).emit("load-video", { url });
-            console.log(`Emitted load-video to room ${roomId} with URL: ${url}`);
-        } catch (error) {
-            console.error(`Error in play-video for room ${roomId}:`, error.message);
-            socket.emit("room-error", `Failed to play video: ${error.message}`);
-        }
+        // Update the Room document in the database, reset the clock and tell the room
+        return loadVideo(io, roomId, source);
     });
 
-    socket.on("pause-video", async ({ roomId, time, adminId }) => {
-        try {
-            if (!isValidObjectId(roomId)) {
-                throw new Error("Invalid roomId: must be a valid ObjectId");
-            }
-
-            const room = await Room.findById(roomId);
-            if (!room) {
-                throw new Error(`Room ${roomId} not found`);
-            }
-
-            if (room.admin.toString() !== adminId) {
-                console.log(`❌ Unauthorized pause attempt by ${adminId}`);
-                return;
-            }
+    // Falls back to the server's live position when the client doesn't send a time
+    onEvent(socket, "pause-video", { roomId: requiredId, time: timeRule }, async ({ roomId, time }) => {
+        await findControlledRoom(roomId, userId, "Only the host or co-hosts can pause the video");
+        console.log(`⏸️ Pause video at ${time ?? "live position"}s for room ${roomId}`);
 
-            console.log(`⏸️ Pause video at ${time}s for room ${roomId}`);
+        // Update the Room document in the database
+        const state = await setPlaybackState(roomId, { position: time, isPlaying: false });
 
-            // Update the Room document in the database
-            await Room.findByIdAndUpdate(roomId, {
-                isPlaying: false,
-                playbackTime: time,
-            });
-
-            io.to(roomId).emit("pause-video", { time });
-        } catch (error) {
-            console.error(`Error in pause-video for room ${roomId}:`, error.message);
-            socket.emit("room-error", `Failed to pause video: ${error.message}`);
-        }
+        const update = { roomId, time: state.position, playback: playbackSnapshot(state) };
+        io.to(roomId).emit("pause-video", update);
+        return update;
     });
 
-    socket.on("resume-video", async ({ roomId, time, adminId }) => {
-        try {
-            if (!isValidObjectId(roomId)) {
-                throw new Error("Invalid roomId: must be a valid ObjectId");
-            }
+    onEvent(socket, "resume-video", { roomId: requiredId, time: timeRule }, async ({ roomId, time }) => {
+        await findControlledRoom(roomId, userId, "Only the host or co-hosts can resume the video");
+        console.log(`▶️ Resume video at ${time ?? "live position"}s for room ${roomId}`);
 
-            const room = await Room.findById(roomId);
-            if (!room) {
-                throw new Error(`Room ${roomId} not found`);
-            }
-
-            if (room.admin.toString() !== adminId) {
-                console.log(`❌ Unauthorized resume attempt by ${adminId}`);
-                return;
-            }
+        // Update the Room document in the database
+        const state = await setPlaybackState(roomId, { position: time, isPlaying: true });
 
-            console.log(`▶️ Resume video at ${time}s for room ${roomId}`);
-
-            // Update the Room document in the database
-            await Room.findByIdAndUpdate(roomId, {
-                isPlaying: true,
-                playbackTime: time,
-            });
-
-            io.to(roomId).emit("resume-video", { time });
-        } catch (error) {
-            console.error(`Error in resume-video for room ${roomId}:`, error.message);
-            socket.emit("room-error", `Failed to resume video: ${error.message}`);
-        }
+        const update = { roomId, time: state.position, playback: playbackSnapshot(state) };
+        io.to(roomId).emit("resume-video", update);
+        return update;
     });
 
-    socket.on("seek-video", async ({ roomId, time, adminId }) => {
-        try {
-            if (!isValidObjectId(roomId)) {
-                throw new Error("Invalid roomId: must be a valid ObjectId");
-            }
-
-            const room = await Room.findById(roomId);
-            if (!room) {
-                throw new Error(`Room ${roomId} not found`);
-            }
-
-            if (room.admin.toString() !== adminId) {
-                console.log(`❌ Unauthorized seek attempt by ${adminId}`);
-                return;
-            }
+    onEvent(socket, "seek-video", { roomId: requiredId, time: { ...timeRule, required: true } }, async ({ roomId, time }) => {
+        await findControlledRoom(roomId, userId, "Only the host or co-hosts can seek the video");
+        console.log(`⏩ Seek video to ${time}s for room ${roomId}`);
 
-            console.log(`⏩ Seek video to ${time}s for room ${roomId}`);
+        // Update the Room document in the database
+        const state = await setPlaybackState(roomId, { position: time });
 
-            // Update the Room document in the database
-            await Room.findByIdAndUpdate(roomId, {
-                playbackTime: time,
-            });
+        const update = { roomId, time, playback: playbackSnapshot(state) };
+        io.to(roomId).emit("seek-video", update);
+        return update;
+    });
 
-            io.to(roomId).emit("seek-video", { time });
-        } catch (error) {
-            console.error(`Error in seek-video for room ${roomId}:`, error.message);
-            socket.emit("room-error", `Failed to seek video: ${error.message}`);
+    onEvent(
+        socket,
+        "set-playback-rate",
+        { roomId: requiredId, rate: { type: "number", min: MIN_RATE, max: MAX_RATE, required: true } },
+        async ({ roomId, rate }) => {
+            await findControlledRoom(roomId, userId, "Only the host or co-hosts can change the playback rate");
+
+            const state = await setPlaybackState(roomId, { rate });
+            const update = { roomId, playback: playbackSnapshot(state) };
+            io.to(roomId).emit("sync-state", update);
+            return update;
         }
+    );
+
+    // A client asks for the authoritative state, e.g. after buffering or returning from background
+    onEvent(socket, "sync-request", { roomId: requiredId }, async ({ roomId }) => {
+        const state = await getSyncedState(socket, roomId);
+        const update = { roomId, playback: playbackSnapshot(state) };
+        socket.emit("sync-state", update);
+        return update;
     });
 
-    socket.on("send-message", async ({ roomId, msg }) => {
-        console.log(`💬 Message received in room ${roomId} from ${msg.userId}: ${msg.text}`);
-        try {
-            if (!isValidObjectId(msg.userId)) {
-                throw new Error("Invalid userId: must be a valid ObjectId");
-            }
-
-            if (!isValidObjectId(roomId)) {
-                throw new Error("Invalid roomId: must be a valid ObjectId");
-            }
-
-            const user = await User.findById(msg.userId).lean();
-            if (!user) {
-                throw new Error(`User ${msg.userId} not found`);
-            }
-
-            const room = await Room.findById(roomId);
-            if (!room) {
-                throw new Error(`Room ${roomId} not found`);
+    // Clients periodically report their local position; lagging or racing ones are told to resync
+    onEvent(
+        socket,
+        "drift-report",
+        { roomId: requiredId, position: { ...timeRule, required: true } },
+        async ({ roomId, position }) => {
+            const state = await getSyncedState(socket, roomId);
+
+            const now = Date.now();
+            const drift = measureDrift(state, position, now);
+            if (Math.abs(drift) <= driftTolerance()) {
+                return { drift, resync: false };
             }
 
-            const newMessage = new Message({
-                room: roomId,
-                senderId: msg.userId,
-                text: msg.text,
-                sender: user,
-            });
-            await newMessage.save();
-            io.to(roomId).emit("receive-message", newMessage);
-        } catch (error) {
-            console.error("❌ Message saving failed:", error.message);
-            socket.emit("room-error", `Failed to send message: ${error.message}`);
+            console.log(`🔄 User ${userId} drifted ${drift.toFixed(2)}s in room ${roomId}, resyncing`);
+            socket.emit("resync", { roomId, drift, playback: playbackSnapshot(state, now) });
+            return { drift, resync: true };
         }
-    });
+    );
 
-    socket.on("leave-room", async ({ roomId, userId }) => {
+    // Leaving from one tab keeps the user in the room while another of their sockets is still in it
+    onEvent(socket, "leave-room", { roomId: requiredId }, async ({ roomId }) => {
         socket.leave(roomId);
+        await leaveVoice(io, socket, roomId);
 
-        try {
-            if (!isValidObjectId(userId)) {
-                throw new Error("Invalid userId: must be a valid ObjectId");
-            }
-
-            if (!isValidObjectId(roomId)) {
-                throw new Error("Invalid roomId: must be a valid ObjectId");
-            }
-
-            const room = await Room.findById(roomId);
-            if (!room) {
-                console.log(`Room ${roomId} not found`);
-                return;
-            }
-
-            const isAdmin = room.admin.toString() === userId;
-
-            if (isAdmin) {
-                // Admin is leaving, dismiss the room
-                io.to(roomId).emit("room-dismissed");
-
-                // Delete the room and associated messages from the database
-                await Room.findByIdAndDelete(roomId);
-                await Message.deleteMany({ room: roomId });
-
-                console.log(`🗑️ Room ${roomId} dismissed by admin ${userId}`);
-            } else {
-                // Non-admin user is leaving
-                await Room.findByIdAndUpdate(roomId, {
-                    $pull: { users: { id: userId } },
-                });
-
-                // Fetch the updated room to check the users list
-                const updatedRoom = await Room.findById(roomId).lean();
-                if (!updatedRoom) {
-                    console.log(`Room ${roomId} not found after update`);
-                    return;
-                }
-
-                if (updatedRoom.users.length === 0) {
-                    await Room.findByIdAndDelete(roomId);
-                    await Message.deleteMany({ room: roomId });
-                    console.log(`🗑️ Room ${roomId} deleted (no participants left)`);
-                } else {
-                    io.to(roomId).emit("update-participants", {
-                        participants: updatedRoom.users.map((user) => user.id.toString()),
-                    });
+        const remaining = await leaveRoom(io, roomId, userId, socket.id);
+        if (remaining > 0) {
+            await refreshParticipantStatus(io, roomId, userId);
+            return { roomId, left: false };
+        }
 
-                    const roomDetails = await fetchRoomDetails(roomId);
-                    if (roomDetails) {
-                        io.to(roomId).emit("room-details", roomDetails);
-                    }
-                }
+        await removeParticipant(io, roomId, userId);
+        return { roomId, left: true };
+    });
 
-                console.log(`🚪 User ${userId} left room ${roomId}`);
-            }
-        } catch (error) {
-            console.error(`Error in leave-room for room ${roomId}:`, error.message);
-            socket.emit("room-error", `Failed to leave room: ${error.message}`);
-        }
+    // Socket.IO empties socket.rooms before "disconnect", so note the party rooms while we still can
+    let partyRooms = [];
+    socket.on("disconnecting", () => {
+        partyRooms = [...socket.rooms].filter(isPartyRoom);
     });
 
     socket.on("disconnect", async () => {
         console.log(`❌ User disconnected: ${socket.id}`);
 
-        const userId = socketToUserMap.get(socket.id);
-        if (!userId) {
-            console.log(`No userId mapped for socket ${socket.id}`);
-            return;
+        if (socket.data.voiceRoomId) {
+            await leaveVoice(io, socket, socket.data.voiceRoomId).catch((error) =>
+                console.error(`Error leaving voice chat for socket ${socket.id}:`, error.message)
+            );
         }
 
-        socketToUserMap.delete(socket.id);
-
-        // Find all rooms where the user is a participant
-        const userRooms = await Room.find({ "users.id": userId });
-        for (const room of userRooms) {
-            const roomId = room._id.toString();
-            const isAdmin = room.admin.toString() === userId;
-
-            if (isAdmin) {
-                // Admin disconnected, dismiss the room
-                io.to(roomId).emit("room-dismissed");
-
-                await Room.findByIdAndDelete(roomId);
-                await Message.deleteMany({ room: roomId });
-
-                console.log(`🗑️ Room ${roomId} dismissed due to admin ${userId} disconnection`);
-            } else {
-                // Remove the user from the room
-                await Room.findByIdAndUpdate(roomId, {
-                    $pull: { users: { id: userId } },
-                });
-
-                // Fetch the updated room to check the users list
-                const updatedRoom = await Room.findById(roomId).lean();
-                if (!updatedRoom) {
-                    console.log(`Room ${roomId} not found after update`);
-                    continue;
-                }
-
-                if (updatedRoom.users.length === 0) {
-                    await Room.findByIdAndDelete(roomId);
-                    await Message.deleteMany({ room: roomId });
-                    console.log(`🗑️ Room ${roomId} deleted (no participants left)`);
+        // In rooms where this was the user's last socket, mark them away rather than removing
+        // them; they leave for real once the window expires
+        try {
+            const goneFrom = [];
+            for (const roomId of partyRooms) {
+                const remaining = await leaveRoom(io, roomId, userId, socket.id);
+                if (remaining > 0) {
+                    console.log(`User ${userId} still in room ${roomId} on ${remaining} other socket(s)`);
+                    await refreshParticipantStatus(io, roomId, userId);
                 } else {
-                    io.to(roomId).emit("update-participants", {
-                        participants: updatedRoom.users.map((user) => user.id.toString()),
-                    });
-
-                    const roomDetails = await fetchRoomDetails(roomId);
-                    if (roomDetails) {
-                        io.to(roomId).emit("room-details", roomDetails);
-                    }
+                    goneFrom.push(roomId);
                 }
             }
-        }
-    });
-
 
-    socket.on("join-voice", ({ roomId, userId }) => {
-        console.log(`User ${userId} joined voice chat in room ${roomId}`);
-        socket.join(`${roomId}-voice`);
-        io.to(`${roomId}-voice`).emit("user-joined-voice", { userId });
-    });
-
-    socket.on("leave-voice", ({ roomId, userId }) => {
-        console.log(`User ${userId} left voice chat in room ${roomId}`);
-        socket.leave(`${roomId}-voice`);
-        io.to(`${roomId}-voice`).emit("user-left-voice", { userId });
-    });
-
-    socket.on("voice-offer", ({ to, offer }) => {
-        console.log(`Sending voice offer from ${socket.id} to ${to}`);
-        io.to(to).emit("voice-offer", { from: socket.id, offer });
-    });
-
-    socket.on("voice-answer", ({ to, answer }) => {
-        console.log(`Sending voice answer from ${socket.id} to ${to}`);
-        io.to(to).emit("voice-answer", { from: socket.id, answer });
-    });
-
-    socket.on("voice-candidate", ({ to, candidate }) => {
-        console.log(`Sending ICE candidate from ${socket.id} to ${to}`);
-        io.to(to).emit("voice-candidate", { from: socket.id, candidate });
-    });
-
-    socket.on("mic-enabled", ({ roomId, userId }) => {
-        console.log(`User ${userId} enabled mic in room ${roomId}`);
-        io.to(`${roomId}-voice`).emit("mic-enabled", { userId });
-    });
-
-    socket.on("mic-disabled", ({ roomId, userId }) => {
-        console.log(`User ${userId} disabled mic in room ${roomId}`);
-        io.to(`${roomId}-voice`).emit("mic-disabled", { userId });
+            if (goneFrom.length > 0) {
+                await beginGracePeriod(io, userId, goneFrom);
+            }
+        } catch (error) {
+            console.error(`Error starting reconnect grace period for user ${userId}:`, error.message);
+        }
     });
-
 });
 
-
+startPlaybackSync(io);
+startPartyScheduler(io);
+startRoomSweeper(io);
+startSessionSweeper(io);
+startPollScheduler(io);
 
 const PORT = process.env.PORT || 3000;
 server.listen(PORT, () => console.log(`✅ Server running on port ${PORT}`));
\ No newline at end of file
@@ -0,0 +1,87 @@
+import User from "../models/User.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { getStorage } from "./storage/index.js";
+import { propagateProfile } from "./users.js";
+
+const DEFAULT_MAX_AVATAR_BYTES = 2 * 1024 * 1024;
+
+export const maxAvatarBytes = () => Number(process.env.AVATAR_MAX_BYTES) || DEFAULT_MAX_AVATAR_BYTES;
+
+// Accepted image types, recognised by their leading bytes rather than the client's Content-Type
+const IMAGE_SIGNATURES = [
+    { mimeType: "image/jpeg", extension: "jpg", matches: (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff },
+    {
+        mimeType: "image/png",
+        extension: "png",
+        matches: (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    },
+    { mimeType: "image/gif", extension: "gif", matches: (b) => b.subarray(0, 4).toString("latin1") === "GIF8" },
+    {
+        mimeType: "image/webp",
+        extension: "webp",
+        matches: (b) => b.subarray(0, 4).toString("latin1") === "RIFF" && b.subarray(8, 12).toString("latin1") === "WEBP",
+    },
+];
+
+export const ALLOWED_AVATAR_TYPES = IMAGE_SIGNATURES.map((signature) => signature.mimeType);
+
+export const detectImageType = (buffer) =>
+    IMAGE_SIGNATURES.find((signature) => buffer.length >= 12 && signature.matches(buffer)) || null;
+
+// Best effort: a failed cleanup leaves an orphaned file, which is better than failing the request
+const removeStoredAvatar = async (key) => {
+    if (!key) {
+        return;
+    }
+    try {
+        await getStorage().remove(key);
+    } catch (error) {
+        console.error(`Error removing stored avatar ${key}:`, error.message);
+    }
+};
+
+const applyAvatar = async (userId, profilePic, profilePicKey) => {
+    const previous = await User.findById(userId).select("profilePicKey").lean();
+    if (!previous) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, "User not found");
+    }
+
+    const user = await User.findByIdAndUpdate(
+        userId,
+        { $set: { profilePic, profilePicKey } },
+        { new: true }
+    ).lean();
+
+    await propagateProfile(userId, { profilePic });
+    if (previous.profilePicKey && previous.profilePicKey !== profilePicKey) {
+        await removeStoredAvatar(previous.profilePicKey);
+    }
+    return user;
+};
+
+// Store an uploaded image as the user's avatar, replacing (and deleting) the previous one.
+// Returns the updated lean user.
+export const setAvatar = async (userId, buffer) => {
+    // Uploads are capped before they get here; this covers any other caller
+    if (buffer.length > maxAvatarBytes()) {
+        throw new RequestError(ERROR_CODES.VALIDATION_ERROR, `Avatar must be at most ${maxAvatarBytes()} bytes`);
+    }
+
+    const type = detectImageType(buffer);
+    if (!type) {
+        throw new RequestError(
+            ERROR_CODES.VALIDATION_ERROR,
+            `Unsupported image: must be one of ${ALLOWED_AVATAR_TYPES.join(", ")}`
+        );
+    }
+
+    const { key, url } = await getStorage().save(buffer, { folder: "avatars", extension: type.extension });
+    try {
+        return await applyAvatar(userId, url, key);
+    } catch (error) {
+        await removeStoredAvatar(key);
+        throw error;
+    }
+};
+
+export const removeAvatar = (userId) => applyAvatar(userId, null, null);
@@ -0,0 +1,26 @@
+import { createClient } from "redis";
+import { createAdapter } from "@socket.io/redis-adapter";
+import RedisStore from "./store/redisStore.js";
+import { setStore } from "./store/index.js";
+
+// Run as one node of a cluster when REDIS_URL is set: broadcasts go through the Socket.IO
+// Redis adapter and presence/room state lives in Redis. Without it, stay single-node in memory.
+export const setupCluster = async (io) => {
+    const url = process.env.REDIS_URL;
+    if (!url) {
+        console.log("ℹ️ REDIS_URL not set, running single-node with in-memory state");
+        return;
+    }
+
+    const pubClient = createClient({ url });
+    const subClient = pubClient.duplicate();
+    for (const client of [pubClient, subClient]) {
+        client.on("error", (err) => console.error("❌ Redis error:", err.message));
+    }
+
+    await Promise.all([pubClient.connect(), subClient.connect()]);
+
+    io.adapter(createAdapter(pubClient, subClient));
+    setStore(new RedisStore(pubClient));
+    console.log("✅ Connected to Redis, cluster mode enabled");
+};
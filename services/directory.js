@@ -0,0 +1,192 @@
+import { CLOSED_STATES } from "./lifecycle.js";
+import { escapeRegex, invalid, parsePositiveInt } from "../utils/validation.js";
+
+// Who can find a room:
+//   public   - listed in the GET /api/room directory
+//   unlisted - joinable with the room id or invite code, but not listed
+//   private  - not listed, and newcomers need the invite code (the room id alone isn't enough)
+export const VISIBILITIES = ["public", "unlisted", "private"];
+
+export const MAX_TITLE_LENGTH = 80;
+export const MAX_DESCRIPTION_LENGTH = 500;
+export const MAX_TAGS = 10;
+// Lowercase words joined by dashes, e.g. "anime" or "sci-fi"
+const TAG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_TAG_LENGTH = 24;
+
+export const DIRECTORY_SORTS = ["live", "recent"];
+export const DEFAULT_DIRECTORY_LIMIT = 20;
+export const MAX_DIRECTORY_LIMIT = 50;
+
+// Schema rules (see utils/validation.js) for the listing fields; buildListingUpdate checks the tags themselves
+export const listingRules = {
+    title: { type: "string", maxLength: MAX_TITLE_LENGTH },
+    description: { type: "string", maxLength: MAX_DESCRIPTION_LENGTH },
+    tags: { type: "array", maxItems: MAX_TAGS },
+    visibility: { type: "enum", values: VISIBILITIES },
+};
+
+// "#Sci Fi " -> "sci-fi"
+export const normalizeTag = (tag) =>
+    typeof tag === "string" ? tag.trim().toLowerCase().replace(/^#/, "").replace(/\s+/g, "-") : "";
+
+const validateTags = (tags) => {
+    if (!Array.isArray(tags)) {
+        throw invalid("Invalid tags: must be an array of strings");
+    }
+
+    const normalized = [...new Set(tags.map(normalizeTag))];
+    if (normalized.length > MAX_TAGS) {
+        throw invalid(`Invalid tags: at most ${MAX_TAGS} allowed`);
+    }
+    for (const tag of normalized) {
+        if (tag.length > MAX_TAG_LENGTH || !TAG_PATTERN.test(tag)) {
+            throw invalid(`Invalid tag "${tag}": use up to ${MAX_TAG_LENGTH} letters, digits and dashes`);
+        }
+    }
+    return normalized;
+};
+
+const validateText = (value, field, maxLength) => {
+    if (typeof value !== "string" || value.trim().length > maxLength) {
+        throw invalid(`Invalid ${field}: must be a string of at most ${maxLength} characters`);
+    }
+    return value.trim();
+};
+
+// Validate listing fields (title, description, tags, visibility) from a client and turn them
+// into Room fields. Only keys present in `input` are changed; "" clears the title or description.
+export const buildListingUpdate = (input = {}) => {
+    const update = {};
+
+    if ("title" in input) {
+        update.title = validateText(input.title, "title", MAX_TITLE_LENGTH);
+    }
+
+    if ("description" in input) {
+        update.description = validateText(input.description, "description", MAX_DESCRIPTION_LENGTH);
+    }
+
+    if ("tags" in input) {
+        update.tags = validateTags(input.tags);
+    }
+
+    if ("visibility" in input) {
+        if (!VISIBILITIES.includes(input.visibility)) {
+            throw invalid(`Invalid visibility: must be one of ${VISIBILITIES.join(", ")}`);
+        }
+        update.visibility = input.visibility;
+    }
+
+    return update;
+};
+
+// Listing fields as shown to clients; rooms without a title fall back to their generated name
+export const serializeListing = (room) => ({
+    title: room.title || room.name,
+    description: room.description || "",
+    tags: room.tags || [],
+    visibility: room.visibility || "unlisted",
+});
+
+// ?tags=a,b and ?tags=a&tags=b both work
+const parseTagFilter = (tags) => {
+    if (tags === undefined) {
+        return [];
+    }
+    const list = (Array.isArray(tags) ? tags : [tags]).flatMap((entry) => String(entry).split(","));
+    return [...new Set(list.map(normalizeTag).filter(Boolean))].slice(0, MAX_TAGS);
+};
+
+// Turn directory query-string params into an aggregation pipeline. Throws on bad input.
+//   q:           case-insensitive search over title, description, tags and host name
+//   tags:        only rooms carrying all of these tags
+//   sort:        "live" (most participants online first, the default) or "recent" (newest first)
+//   page, limit: 1-based page number and page size (default 20, max 50)
+// The pipeline yields one document: { rooms: [...], total: [{ count }] }.
+export const buildDirectoryQuery = ({ q, tags, sort = "live", page, limit } = {}) => {
+    if (!DIRECTORY_SORTS.includes(sort)) {
+        throw invalid(`Invalid sort: must be one of ${DIRECTORY_SORTS.join(", ")}`);
+    }
+    const pageSize = parsePositiveInt(limit, "limit", DEFAULT_DIRECTORY_LIMIT, MAX_DIRECTORY_LIMIT);
+    const pageNumber = parsePositiveInt(page, "page", 1);
+
+    const match = { visibility: "public", state: { $nin: CLOSED_STATES } };
+    if (typeof q === "string" && q.trim()) {
+        const pattern = new RegExp(escapeRegex(q.trim()), "i");
+        match.$or = [
+            { title: pattern },
+            { description: pattern },
+            { tags: normalizeTag(q) },
+            { adminName: pattern },
+        ];
+    }
+
+    const tagFilter = parseTagFilter(tags);
+    if (tagFilter.length > 0) {
+        match.tags = { $all: tagFilter };
+    }
+
+    // Participants inside the reconnect grace window don't count as live
+    const liveCount = {
+        $size: { $filter: { input: "$users", as: "user", cond: { $ne: ["$$user.status", "away"] } } },
+    };
+    const order = sort === "live" ? { liveCount: -1, createdAt: -1, _id: -1 } : { createdAt: -1, _id: -1 };
+
+    const pipeline = [
+        { $match: match },
+        {
+            $facet: {
+                rooms: [
+                    { $addFields: { liveCount } },
+                    { $sort: order },
+                    { $skip: (pageNumber - 1) * pageSize },
+                    { $limit: pageSize },
+                    // Explicit fields: aggregation ignores `select: false`, so passwordHash must stay out
+                    {
+                        $project: {
+                            name: 1,
+                            title: 1,
+                            description: 1,
+                            tags: 1,
+                            visibility: 1,
+                            admin: 1,
+                            adminName: 1,
+                            liveCount: 1,
+                            settings: 1,
+                            videoUrl: 1,
+                            serviceId: 1,
+                            mediaId: 1,
+                            isPlaying: 1,
+                            createdAt: 1,
+                        },
+                    },
+                ],
+                total: [{ $count: "count" }],
+            },
+        },
+    ];
+
+    return { pipeline, page: pageNumber, limit: pageSize };
+};
+
+// One directory entry, from a room projected by buildDirectoryQuery
+export const serializeDirectoryEntry = (room) => ({
+    roomId: room._id.toString(),
+    ...serializeListing(room),
+    host: { id: room.admin.toString(), username: room.adminName },
+    participantCount: room.liveCount,
+    maxParticipants: room.settings?.maxParticipants ?? null,
+    joinMode: room.settings?.joinMode || "open",
+    locked: Boolean(room.settings?.locked),
+    passwordProtected: Boolean(room.settings?.passwordProtected),
+    nowPlaying: room.videoUrl
+        ? {
+              videoUrl: room.videoUrl,
+              serviceId: room.serviceId,
+              mediaId: room.mediaId,
+              isPlaying: Boolean(room.isPlaying),
+          }
+        : null,
+    createdAt: room.createdAt,
+});
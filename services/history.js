@@ -0,0 +1,218 @@
+import PartySession from "../models/PartySession.js";
+import { parsePositiveInt } from "../utils/validation.js";
+
+// Watch-party history: one PartySession per room, written as things happen in the room (see the
+// record* functions) and kept after the room ends and is purged. Recording is best effort: a failed write
+// is logged and never fails the action being recorded.
+
+export const DEFAULT_SESSIONS_LIMIT = 20;
+export const MAX_SESSIONS_LIMIT = 50;
+const TOP_VIDEOS = 5;
+
+const record = (label, write) =>
+    write().catch((error) => console.error(`Error recording ${label} in party history:`, error.message));
+
+// A new room (lean or document): its host is the first participant
+export const startSession = (room) =>
+    record("room creation", async () => {
+        const now = new Date();
+        const host = room.users.find((user) => user.id.toString() === room.admin.toString());
+        await PartySession.create({
+            room: room._id,
+            title: room.title || room.name,
+            host: room.admin,
+            hostName: room.adminName,
+            participants: host ? [{ id: host.id, username: host.username, stints: [{ joinedAt: now }] }] : [],
+            peakConcurrency: 1,
+            startedAt: now,
+        });
+    });
+
+// `concurrency` is how many people are in the room now that the user is in it.
+// Rejoining while still present (a reconnect) doesn't start a new stint.
+export const recordJoin = (roomId, user, concurrency) =>
+    record("join", async () => {
+        const now = new Date();
+        const added = await PartySession.updateOne(
+            { room: roomId, endedAt: null, "participants.id": { $ne: user._id } },
+            {
+                $push: { participants: { id: user._id, username: user.username, stints: [{ joinedAt: now }] } },
+                $max: { peakConcurrency: concurrency },
+            }
+        );
+        if (added.modifiedCount > 0) {
+            return;
+        }
+
+        await PartySession.updateOne(
+            { room: roomId, endedAt: null, participants: { $elemMatch: { id: user._id, present: false } } },
+            {
+                $set: { "participants.$.present": true },
+                $push: { "participants.$.stints": { joinedAt: now } },
+                $max: { peakConcurrency: concurrency },
+            }
+        );
+    });
+
+export const recordLeave = (roomId, userId) =>
+    record("leave", () =>
+        PartySession.updateOne(
+            { room: roomId, participants: { $elemMatch: { id: userId, present: true } } },
+            {
+                $set: {
+                    "participants.$[p].present": false,
+                    "participants.$[p].stints.$[open].leftAt": new Date(),
+                },
+            },
+            { arrayFilters: [{ "p.id": userId, "p.present": true }, { "open.leftAt": null }] }
+        )
+    );
+
+// A video was loaded (play-video, the queue, a scheduled party...); it ends the previous one
+export const recordVideo = (roomId, { url, serviceId, mediaId }) =>
+    record("video", async () => {
+        const now = new Date();
+        await PartySession.updateOne(
+            { room: roomId, endedAt: null },
+            { $set: { "videos.$[open].endedAt": now } },
+            { arrayFilters: [{ "open.endedAt": null }] }
+        );
+        await PartySession.updateOne(
+            { room: roomId, endedAt: null },
+            { $push: { videos: { url, serviceId, mediaId, startedAt: now } } }
+        );
+    });
+
+export const recordMessage = (roomId) =>
+    record("message", () => PartySession.updateOne({ room: roomId, endedAt: null }, { $inc: { messageCount: 1 } }));
+
+export const recordTitle = (roomId, title) =>
+    record("title", () => PartySession.updateOne({ room: roomId, endedAt: null }, { $set: { title } }));
+
+// The room has ended: close every open stint and video
+export const endSession = (roomId) =>
+    record("room end", () => {
+        const now = new Date();
+        return PartySession.updateOne(
+            { room: roomId, endedAt: null },
+            {
+                $set: {
+                    endedAt: now,
+                    "participants.$[p].present": false,
+                    "participants.$[p].stints.$[open].leftAt": now,
+                    "videos.$[video].endedAt": now,
+                },
+            },
+            { arrayFilters: [{ "p.present": true }, { "open.leftAt": null }, { "video.endedAt": null }] }
+        );
+    });
+
+// An ended room was reopened: the same party carries on (its duration includes the break)
+export const resumeSession = (roomId) =>
+    record("room reopen", () => PartySession.updateOne({ room: roomId }, { $set: { endedAt: null } }));
+
+const secondsBetween = (from, to) => Math.max(0, Math.round((to - from) / 1000));
+
+const stintsSeconds = (stints, now) =>
+    stints.reduce((total, stint) => total + secondsBetween(stint.joinedAt, stint.leftAt || now), 0);
+
+const sessionBasics = (session, now) => ({
+    sessionId: session._id.toString(),
+    roomId: session.room.toString(),
+    title: session.title,
+    host: { id: session.host.toString(), username: session.hostName },
+    startedAt: session.startedAt,
+    endedAt: session.endedAt,
+    active: !session.endedAt,
+    durationSeconds: secondsBetween(session.startedAt, session.endedAt || now),
+    participantCount: session.participants.length,
+    videoCount: session.videos.length,
+    messageCount: session.messageCount,
+    peakConcurrency: session.peakConcurrency,
+});
+
+// A party in someone's history list, with how long they were there
+export const serializeSessionSummary = (session, userId, now = new Date()) => {
+    const me = session.participants.find((participant) => participant.id.toString() === userId);
+    return {
+        ...sessionBasics(session, now),
+        myWatchSeconds: me ? stintsSeconds(me.stints, now) : 0,
+    };
+};
+
+// Everything recorded about a party
+export const serializeSession = (session, now = new Date()) => ({
+    ...sessionBasics(session, now),
+    participants: session.participants.map((participant) => ({
+        userId: participant.id.toString(),
+        username: participant.username,
+        present: participant.present,
+        stints: participant.stints.map(({ joinedAt, leftAt }) => ({ joinedAt, leftAt })),
+        watchSeconds: stintsSeconds(participant.stints, now),
+    })),
+    videos: session.videos.map((video) => ({
+        url: video.url,
+        serviceId: video.serviceId,
+        mediaId: video.mediaId,
+        startedAt: video.startedAt,
+        endedAt: video.endedAt,
+        durationSeconds: secondsBetween(video.startedAt, video.endedAt || now),
+    })),
+});
+
+// Aggregate numbers for the host's dashboard
+export const buildRoomStats = (session, now = new Date()) => {
+    const watchSeconds = session.participants.map((participant) => stintsSeconds(participant.stints, now));
+    const totalWatchSeconds = watchSeconds.reduce((total, seconds) => total + seconds, 0);
+    const videoSeconds = session.videos.map((video) => secondsBetween(video.startedAt, video.endedAt || now));
+    const totalVideoSeconds = videoSeconds.reduce((total, seconds) => total + seconds, 0);
+
+    const plays = new Map();
+    for (const video of session.videos) {
+        const key = `${video.serviceId}:${video.mediaId || video.url}`;
+        if (!plays.has(key)) {
+            plays.set(key, { url: video.url, serviceId: video.serviceId, mediaId: video.mediaId, plays: 0 });
+        }
+        plays.get(key).plays += 1;
+    }
+
+    const participantCount = session.participants.length;
+    return {
+        ...sessionBasics(session, now),
+        participants: {
+            unique: participantCount,
+            peakConcurrency: session.peakConcurrency,
+            returning: session.participants.filter((participant) => participant.stints.length > 1).length,
+            totalWatchSeconds,
+            averageWatchSeconds: participantCount ? Math.round(totalWatchSeconds / participantCount) : 0,
+        },
+        videos: {
+            played: session.videos.length,
+            totalSeconds: totalVideoSeconds,
+            averageSeconds: session.videos.length ? Math.round(totalVideoSeconds / session.videos.length) : 0,
+            mostPlayed: [...plays.values()].sort((a, b) => b.plays - a.plays).slice(0, TOP_VIDEOS),
+        },
+        messages: {
+            total: session.messageCount,
+            perParticipant: participantCount ? Number((session.messageCount / participantCount).toFixed(1)) : 0,
+        },
+    };
+};
+
+// Page through the parties a user took part in, newest first: ?page=&limit= (default 20, max 50)
+export const findUserSessions = async (userId, { page, limit } = {}) => {
+    const pageSize = parsePositiveInt(limit, "limit", DEFAULT_SESSIONS_LIMIT, MAX_SESSIONS_LIMIT);
+    const pageNumber = parsePositiveInt(page, "page", 1);
+    const filter = { "participants.id": userId };
+
+    const [sessions, total] = await Promise.all([
+        PartySession.find(filter)
+            .sort({ startedAt: -1 })
+            .skip((pageNumber - 1) * pageSize)
+            .limit(pageSize)
+            .lean(),
+        PartySession.countDocuments(filter),
+    ]);
+
+    return { sessions, page: pageNumber, limit: pageSize, total, hasMore: pageNumber * pageSize < total };
+};
@@ -0,0 +1,188 @@
+import Room from "../models/Room.js";
+import Message from "../models/Message.js";
+import ModerationLog from "../models/ModerationLog.js";
+import TimelineReaction from "../models/TimelineReaction.js";
+import SubtitleTrack from "../models/SubtitleTrack.js";
+import { currentPosition, forgetPlaybackState, getPlaybackState } from "./playback.js";
+import { clearRoomPresence } from "./presence.js";
+import { removeUserFromVoice, voiceChannel } from "./voice.js";
+import { endSession } from "./history.js";
+import { runEvery, runSafely } from "../utils/tasks.js";
+
+// Room lifecycle. A room is
+//   active   while something is playing,
+//   idle     while nothing is (setPlaybackState moves it between the two; idleSince says since when),
+//   ended    once closed: by its host, when the last participant leaves or after ROOM_IDLE_MINUTES idle.
+//            Everyone is sent away but the chat is kept and the host can reopen the room for
+//            ROOM_CHAT_RETENTION_DAYS,
+//   archived once that window has passed: its chat, moderation log, reactions and subtitles are purged,
+//            and the room record itself goes ROOM_ARCHIVE_RETENTION_DAYS later.
+// A sweeper on every node moves rooms along; each step is a conditional update, so only one node
+// acts on a room. Party history (services/history.js) is never purged.
+
+export const CLOSED_STATES = ["ended", "archived"];
+
+const DEFAULT_IDLE_MINUTES = 60;
+const DEFAULT_CHAT_RETENTION_DAYS = 7;
+const DEFAULT_ARCHIVE_RETENTION_DAYS = 30;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+// Rooms handled per step of each sweep; the rest wait for the next one
+const SWEEP_BATCH = 100;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+let sweeper = null;
+
+// Non-negative number from the environment, or the fallback when unset or invalid
+const envAmount = (name, fallback) => {
+    const value = Number(process.env[name]);
+    return process.env[name] && Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// ROOM_IDLE_MINUTES=0 never closes idle rooms; ROOM_CHAT_RETENTION_DAYS=0 purges a room as soon as
+// it ends (no reopening); ROOM_ARCHIVE_RETENTION_DAYS=0 deletes archived room records right away
+export const retentionPolicy = () => ({
+    idleMs: envAmount("ROOM_IDLE_MINUTES", DEFAULT_IDLE_MINUTES) * MINUTE_MS,
+    chatRetentionMs: envAmount("ROOM_CHAT_RETENTION_DAYS", DEFAULT_CHAT_RETENTION_DAYS) * DAY_MS,
+    archiveRetentionMs: envAmount("ROOM_ARCHIVE_RETENTION_DAYS", DEFAULT_ARCHIVE_RETENTION_DAYS) * DAY_MS,
+});
+
+// Rooms from before lifecycles were tracked have no state; they count as active
+export const roomState = (room) => room.state || "active";
+
+export const isRoomOpen = (room) => !CLOSED_STATES.includes(roomState(room));
+
+// Until when an ended room can be reopened (null if it can't be)
+export const reopenableUntil = (room, policy = retentionPolicy()) =>
+    roomState(room) === "ended" && room.endedAt && policy.chatRetentionMs > 0
+        ? new Date(new Date(room.endedAt).getTime() + policy.chatRetentionMs)
+        : null;
+
+// The lifecycle part of snapshots and previews. autoCloseAt is when an idle room will be closed.
+export const serializeLifecycle = (room, policy = retentionPolicy()) => {
+    const state = roomState(room);
+    return {
+        state,
+        idleSince: state === "idle" ? room.idleSince : null,
+        autoCloseAt:
+            state === "idle" && room.idleSince && policy.idleMs > 0
+                ? new Date(new Date(room.idleSince).getTime() + policy.idleMs)
+                : null,
+        endedAt: room.endedAt || null,
+        reopenableUntil: reopenableUntil(room, policy),
+    };
+};
+
+// Purge an ended room's chat, moderation log, timeline reactions and subtitles. `filter` narrows
+// the claim (the sweeper only archives rooms that are past the retention window). Returns whether it did.
+export const archiveRoom = async (roomId, filter = {}) => {
+    const policy = retentionPolicy();
+    const room = await Room.findOneAndUpdate(
+        { _id: roomId, state: "ended", ...filter },
+        {
+            // The invite code can't be used any more, so free it up
+            $set: { state: "archived", archivedAt: new Date(), queue: [], pendingQueue: [], polls: [] },
+            $unset: { inviteCode: 1 },
+        },
+        { new: true }
+    ).lean();
+    if (!room) {
+        return false;
+    }
+
+    await Message.deleteMany({ room: roomId });
+    await ModerationLog.deleteMany({ room: roomId });
+    await TimelineReaction.deleteMany({ room: roomId });
+    await SubtitleTrack.deleteMany({ room: roomId });
+    if (policy.archiveRetentionMs === 0) {
+        await Room.deleteOne({ _id: roomId });
+    }
+    console.log(`🗄️ Room ${roomId} archived`);
+    return true;
+};
+
+// End an open room: tell everyone connected (room-dismissed), drop their presence, voice and
+// sockets, and close its party history. The room keeps its chat until it is archived.
+// `reason` is "host", "empty" or "idle"; `filter` narrows the claim like in archiveRoom.
+// Returns the ended lean Room, or null if it wasn't open (already ended, e.g. on another node).
+export const closeRoom = async (io, roomId, reason, filter = {}) => {
+    const policy = retentionPolicy();
+    // Freeze the video where it is, so a reopened room picks up from there
+    const playback = await getPlaybackState(roomId);
+    const previous = await Room.findOneAndUpdate(
+        { _id: roomId, state: { $nin: CLOSED_STATES }, ...filter },
+        {
+            $set: {
+                state: "ended",
+                endedAt: new Date(),
+                idleSince: null,
+                isPlaying: false,
+                ...(playback && { playbackTime: currentPosition(playback) }),
+                users: [],
+                pendingJoins: [],
+            },
+        }
+    ).lean();
+    if (!previous) {
+        return null;
+    }
+
+    const room = await Room.findById(roomId).lean();
+    io.to(roomId).emit("room-dismissed", { roomId, reason, reopenableUntil: reopenableUntil(room, policy) });
+
+    for (const user of previous.users) {
+        const userId = user.id.toString();
+        await clearRoomPresence(roomId, userId);
+        await removeUserFromVoice(io, roomId, userId);
+    }
+    io.in(voiceChannel(roomId)).socketsLeave(voiceChannel(roomId));
+    io.in(roomId).socketsLeave(roomId);
+
+    await forgetPlaybackState(roomId);
+    await endSession(roomId);
+    console.log(`🛑 Room ${roomId} ended (${reason})`);
+
+    if (policy.chatRetentionMs === 0) {
+        await archiveRoom(roomId);
+    }
+    return room;
+};
+
+const sweep = async (io) => {
+    const policy = retentionPolicy();
+    const now = Date.now();
+
+    if (policy.idleMs > 0) {
+        const idleFilter = { state: "idle", idleSince: { $lte: new Date(now - policy.idleMs) } };
+        const idle = await Room.find(idleFilter).select("_id").limit(SWEEP_BATCH).lean();
+        for (const { _id } of idle) {
+            await closeRoom(io, _id.toString(), "idle", idleFilter);
+        }
+    }
+
+    const expiredFilter = { endedAt: { $lte: new Date(now - policy.chatRetentionMs) } };
+    const expired = await Room.find({ state: "ended", ...expiredFilter }).select("_id").limit(SWEEP_BATCH).lean();
+    for (const { _id } of expired) {
+        await archiveRoom(_id.toString(), expiredFilter);
+    }
+
+    const purged = await Room.deleteMany({
+        state: "archived",
+        archivedAt: { $lte: new Date(now - policy.archiveRetentionMs) },
+    });
+    if (purged.deletedCount > 0) {
+        console.log(`🧹 Deleted ${purged.deletedCount} archived room(s)`);
+    }
+};
+
+// ROOM_SWEEP_INTERVAL_MS sets how often (default every minute)
+export const startRoomSweeper = (io) => {
+    if (sweeper) {
+        return sweeper;
+    }
+
+    const tick = runSafely(() => sweep(io), "sweeping rooms");
+    sweeper = runEvery(Number(process.env.ROOM_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS, tick);
+    return sweeper;
+};
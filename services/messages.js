@@ -0,0 +1,131 @@
+import { escapeRegex, invalid, isValidObjectId } from "../utils/validation.js";
+
+export const MAX_MESSAGE_LENGTH = 2000;
+export const MAX_EMOJI_LENGTH = 16;
+export const MAX_DISTINCT_REACTIONS = 20;
+
+// Schema rule (see utils/validation.js) for the text of new and edited messages
+export const messageTextRule = { type: "string", minLength: 1, maxLength: MAX_MESSAGE_LENGTH, required: true };
+
+// One emoji: a pictograph with optional variation selectors, skin tones and ZWJ-joined pictographs
+// (e.g. 👍🏽, ❤️, 👨‍👩‍👧), or a flag made of two regional indicators
+const PICTOGRAPH = String.raw`\p{Extended_Pictographic}(?:\uFE0F|\p{Emoji_Modifier}|\u200D\p{Extended_Pictographic})*`;
+const EMOJI_PATTERN = new RegExp(String.raw`^(?:\p{Regional_Indicator}{2}|${PICTOGRAPH})$`, "u");
+
+export const isValidEmoji = (emoji) =>
+    typeof emoji === "string" && emoji.length <= MAX_EMOJI_LENGTH && EMOJI_PATTERN.test(emoji);
+
+// Group flat (emoji, userId) entries as [{ emoji, count, userIds }], in first-used order
+export const groupReactions = (reactions = []) => {
+    const groups = new Map();
+    for (const { emoji, userId } of reactions) {
+        if (!groups.has(emoji)) {
+            groups.set(emoji, { emoji, count: 0, userIds: [] });
+        }
+        const group = groups.get(emoji);
+        group.count += 1;
+        group.userIds.push(userId.toString());
+    }
+    return [...groups.values()];
+};
+
+// Public part of the embedded sender copy. Older messages embedded the whole user
+// document, so pick fields explicitly rather than trusting what's stored.
+const serializeSender = (sender = {}) => ({
+    _id: sender._id ? sender._id.toString() : null,
+    username: sender.username,
+    profilePic: sender.profilePic || null,
+});
+
+// Message as sent to clients; deleted messages keep their place but lose their content
+export const serializeMessage = (message) => {
+    const deleted = Boolean(message.deletedAt);
+    return {
+        _id: message._id.toString(),
+        room: message.room.toString(),
+        senderId: message.senderId.toString(),
+        sender: serializeSender(message.sender),
+        text: deleted ? "" : message.text,
+        timestamp: message.timestamp,
+        replyTo: message.replyTo ? message.replyTo.toString() : null,
+        reactions: deleted ? [] : groupReactions(message.reactions),
+        editedAt: message.editedAt || null,
+        deleted,
+        deletedBy: message.deletedBy ? message.deletedBy.toString() : null,
+    };
+};
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+export const MAX_HISTORY_LIMIT = 100;
+
+const parseDate = (value, name) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw invalid(`Invalid ${name}: must be an ISO date`);
+    }
+    return date;
+};
+
+// Turn history query-string params into a Mongo filter, sort and limit. Throws a RequestError on bad input.
+//   before / after: message ids to page backwards / forwards from (exclusive)
+//   limit:          page size (default 50, max 100)
+//   sender:         only messages from this user id
+//   from / to:      timestamp range (inclusive)
+//   q:              case-insensitive text search; skips deleted messages
+export const buildHistoryQuery = (roomId, { before, after, limit, sender, from, to, q } = {}) => {
+    const filter = { room: roomId };
+
+    if (before !== undefined || after !== undefined) {
+        filter._id = {};
+        if (before !== undefined) {
+            if (!isValidObjectId(before)) {
+                throw invalid("Invalid before: must be a message id");
+            }
+            filter._id.$lt = before;
+        }
+        if (after !== undefined) {
+            if (!isValidObjectId(after)) {
+                throw invalid("Invalid after: must be a message id");
+            }
+            filter._id.$gt = after;
+        }
+    }
+
+    if (sender !== undefined) {
+        if (!isValidObjectId(sender)) {
+            throw invalid("Invalid sender: must be a user id");
+        }
+        filter.senderId = sender;
+    }
+
+    if (from !== undefined || to !== undefined) {
+        filter.timestamp = {};
+        if (from !== undefined) {
+            filter.timestamp.$gte = parseDate(from, "from");
+        }
+        if (to !== undefined) {
+            filter.timestamp.$lte = parseDate(to, "to");
+        }
+    }
+
+    if (q !== undefined) {
+        if (typeof q !== "string" || q.trim().length === 0 || q.length > 200) {
+            throw invalid("Invalid q: must be 1 to 200 characters");
+        }
+        filter.text = { $regex: escapeRegex(q.trim()), $options: "i" };
+        filter.deletedAt = null;
+    }
+
+    let pageSize = DEFAULT_HISTORY_LIMIT;
+    if (limit !== undefined) {
+        pageSize = Number(limit);
+        if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_HISTORY_LIMIT) {
+            throw invalid(`Invalid limit: must be between 1 and ${MAX_HISTORY_LIMIT}`);
+        }
+    }
+
+    // Only `after` pages forwards (oldest first); everything else starts from the newest
+    const sort = after !== undefined && before === undefined ? { _id: 1 } : { _id: -1 };
+
+    return { filter, sort, limit: pageSize };
+};
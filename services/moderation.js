@@ -0,0 +1,60 @@
+import ModerationLog from "../models/ModerationLog.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+
+// Longest timed ban or mute a moderator can hand out (30 days), in seconds
+export const MAX_RESTRICTION_SECONDS = 30 * 24 * 60 * 60;
+
+const isActive = (entry, now) => !entry.expiresAt || new Date(entry.expiresAt).getTime() > now;
+
+// Helper function to turn an optional duration in seconds into an expiry date
+export const expiryFromDuration = (duration, now = Date.now()) => {
+    if (duration === undefined || duration === null) {
+        return null;
+    }
+    if (!Number.isFinite(duration) || duration <= 0 || duration > MAX_RESTRICTION_SECONDS) {
+        throw new RequestError(
+            ERROR_CODES.VALIDATION_ERROR,
+            `Invalid duration: must be between 1 and ${MAX_RESTRICTION_SECONDS} seconds`
+        );
+    }
+    return new Date(now + duration * 1000);
+};
+
+export const findActiveBan = (room, userId, now = Date.now()) =>
+    (room.bans || []).find((ban) => ban.id.toString() === userId && isActive(ban, now)) || null;
+
+// channel is "chat" or "voice"
+export const isMuted = (room, userId, channel, now = Date.now()) =>
+    (room.mutes || []).some((mute) => mute.id.toString() === userId && mute[channel] && isActive(mute, now));
+
+export const serializeMutes = (room, now = Date.now()) =>
+    (room.mutes || [])
+        .filter((mute) => isActive(mute, now))
+        .map((mute) => ({
+            userId: mute.id.toString(),
+            chat: mute.chat,
+            voice: mute.voice,
+            expiresAt: mute.expiresAt,
+        }));
+
+// Record a moderation action; logging failures never block the action itself
+export const logModeration = async (entry) => {
+    try {
+        await ModerationLog.create(entry);
+    } catch (error) {
+        console.error("Error writing moderation log:", error.message);
+    }
+};
+
+export const serializeLogEntry = (entry) => ({
+    id: entry._id.toString(),
+    action: entry.action,
+    actorId: entry.actorId.toString(),
+    actorName: entry.actorName,
+    targetId: entry.targetId.toString(),
+    targetName: entry.targetName,
+    reason: entry.reason,
+    channels: entry.channels,
+    expiresAt: entry.expiresAt,
+    timestamp: entry.timestamp,
+});
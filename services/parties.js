@@ -0,0 +1,193 @@
+import ScheduledParty from "../models/ScheduledParty.js";
+import User from "../models/User.js";
+import { resolveVideoUrl, VideoSourceError } from "../providers/index.js";
+import { MAX_DESCRIPTION_LENGTH, MAX_TITLE_LENGTH, VISIBILITIES } from "./directory.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { invalid, isValidObjectId } from "../utils/validation.js";
+
+export const MAX_INVITEES = 100;
+export const MAX_PARTY_VIDEOS = 20;
+export const MAX_SCHEDULE_AHEAD_DAYS = 90;
+// What an invitee can answer; everyone starts out "pending"
+export const RSVP_RESPONSES = ["going", "maybe", "declined"];
+
+// Schema rules (see utils/validation.js) for creating or editing a party; buildPartyUpdate checks the rest.
+//   startsAt: ISO date in the future
+//   videos:   [{ url, title? }], the first is loaded when the party opens and the rest are queued
+//   invitees: user ids (the host is left out)
+export const partyRules = {
+    title: { type: "string", minLength: 1, maxLength: MAX_TITLE_LENGTH },
+    description: { type: "string", maxLength: MAX_DESCRIPTION_LENGTH },
+    startsAt: { type: "string" },
+    videos: { type: "array", maxItems: MAX_PARTY_VIDEOS },
+    invitees: { type: "array", maxItems: MAX_INVITEES },
+    visibility: { type: "enum", values: VISIBILITIES },
+};
+
+const parseStartsAt = (value) => {
+    const startsAt = new Date(value);
+    if (Number.isNaN(startsAt.getTime())) {
+        throw invalid("Invalid startsAt: must be an ISO date");
+    }
+
+    const now = Date.now();
+    if (startsAt.getTime() <= now) {
+        throw invalid("Invalid startsAt: must be in the future");
+    }
+    if (startsAt.getTime() > now + MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+        throw invalid(`Invalid startsAt: must be within ${MAX_SCHEDULE_AHEAD_DAYS} days`);
+    }
+    return startsAt;
+};
+
+const resolvePartyVideo = (video, index) => {
+    if (video === null || typeof video !== "object" || typeof video.url !== "string") {
+        throw invalid(`Invalid videos[${index}]: must be an object with a url`);
+    }
+
+    let source;
+    try {
+        source = resolveVideoUrl(video.url);
+    } catch (error) {
+        if (error instanceof VideoSourceError) {
+            throw new RequestError(error.code, `Invalid videos[${index}]: ${error.message}`);
+        }
+        throw error;
+    }
+
+    return {
+        url: source.url,
+        title: typeof video.title === "string" ? video.title.trim().slice(0, 200) : "",
+        serviceId: source.serviceId,
+        mediaId: source.mediaId,
+    };
+};
+
+// Turn a list of user ids into invitees, keeping the RSVP of anyone already invited
+const resolveInvitees = async (ids, hostId, current = []) => {
+    const unique = [...new Set(ids)];
+    const badId = unique.find((id) => !isValidObjectId(id));
+    if (badId !== undefined) {
+        throw invalid(`Invalid invitees: ${badId} is not a valid user id`);
+    }
+
+    const wanted = unique.filter((id) => id !== hostId.toString());
+    const users = await User.find({ _id: { $in: wanted } }).select("username").lean();
+    if (users.length !== wanted.length) {
+        const found = new Set(users.map((user) => user._id.toString()));
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `User ${wanted.find((id) => !found.has(id))} not found`);
+    }
+
+    const previous = new Map(current.map((invitee) => [invitee.id.toString(), invitee]));
+    return users.map((user) => {
+        const existing = previous.get(user._id.toString());
+        return {
+            id: user._id,
+            username: user.username,
+            rsvp: existing?.rsvp || "pending",
+            respondedAt: existing?.respondedAt || null,
+        };
+    });
+};
+
+// Validate party fields from a client (already checked against partyRules) and turn them into
+// ScheduledParty fields. Only keys present in `input` are changed; `party` is the one being edited.
+export const buildPartyUpdate = async (input, hostId, party = null) => {
+    const update = {};
+
+    if ("title" in input) {
+        update.title = input.title.trim();
+    }
+    if ("description" in input) {
+        update.description = input.description.trim();
+    }
+    if ("startsAt" in input) {
+        update.startsAt = parseStartsAt(input.startsAt);
+        // A new time gets a new reminder
+        update.reminderSentAt = null;
+    }
+    if ("videos" in input) {
+        update.videos = input.videos.map(resolvePartyVideo);
+    }
+    if ("invitees" in input) {
+        update.invitees = await resolveInvitees(input.invitees, hostId, party?.invitees);
+    }
+    if ("visibility" in input) {
+        update.visibility = input.visibility;
+    }
+
+    return update;
+};
+
+export const isInvited = (party, userId) => party.invitees.some((invitee) => invitee.id.toString() === userId);
+
+// Only the host and invitees can see a party
+export const canViewParty = (party, userId) => party.host.toString() === userId || isInvited(party, userId);
+
+const countRsvps = (party) => {
+    const counts = { going: 0, maybe: 0, declined: 0, pending: 0 };
+    for (const invitee of party.invitees) {
+        counts[invitee.rsvp] += 1;
+    }
+    return counts;
+};
+
+// A party as its host and invitees see it; the invite code only shows up once the room is open
+export const serializeParty = (party) => ({
+    partyId: party._id.toString(),
+    title: party.title,
+    description: party.description,
+    startsAt: party.startsAt,
+    host: { id: party.host.toString(), username: party.hostName },
+    videos: party.videos.map(({ url, title, serviceId, mediaId }) => ({ url, title, serviceId, mediaId })),
+    invitees: party.invitees.map((invitee) => ({
+        userId: invitee.id.toString(),
+        username: invitee.username,
+        rsvp: invitee.rsvp,
+        respondedAt: invitee.respondedAt,
+    })),
+    rsvpCounts: countRsvps(party),
+    visibility: party.visibility,
+    status: party.status,
+    roomId: party.room ? party.room.toString() : null,
+    inviteCode: party.inviteCode || null,
+    startedAt: party.startedAt,
+    createdAt: party.createdAt,
+});
+
+// What `party-*` notifications carry
+export const partyNotice = (party) => ({
+    partyId: party._id.toString(),
+    title: party.title,
+    startsAt: party.startsAt,
+    hostId: party.host.toString(),
+    hostName: party.hostName,
+});
+
+// Everyone a notification about the party should reach: the host and invitees who haven't declined
+export const partyAudience = (party) => [
+    party.host.toString(),
+    ...party.invitees.filter((invitee) => invitee.rsvp !== "declined").map((invitee) => invitee.id.toString()),
+];
+
+// Record an invitee's answer and tell the host. Returns the updated lean party.
+export const respondToParty = async (io, partyId, userId, response) => {
+    const party = await ScheduledParty.findOneAndUpdate(
+        { _id: partyId, status: "scheduled", "invitees.id": userId },
+        { $set: { "invitees.$.rsvp": response, "invitees.$.respondedAt": new Date() } },
+        { new: true }
+    ).lean();
+    if (!party) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "This party is no longer taking RSVPs");
+    }
+
+    const invitee = party.invitees.find((entry) => entry.id.toString() === userId);
+    io.to(`user:${party.host}`).emit("party-rsvp", {
+        ...partyNotice(party),
+        userId,
+        username: invitee.username,
+        rsvp: response,
+        rsvpCounts: countRsvps(party),
+    });
+    return party;
+};
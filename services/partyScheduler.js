@@ -0,0 +1,189 @@
+import ScheduledParty from "../models/ScheduledParty.js";
+import Room from "../models/Room.js";
+import { createRoom } from "./rooms.js";
+import { setPlaybackState } from "./playback.js";
+import { partyAudience, partyNotice } from "./parties.js";
+import { runEvery, runSafely } from "../utils/tasks.js";
+
+// Opens scheduled parties on time. Each node keeps timers for the parties starting within the
+// next HORIZON and reloads them from MongoDB on boot and every RESYNC interval, so parties
+// survive restarts and ones created on another node are picked up. Timers re-check the party
+// when they fire (it may have been moved or cancelled since) and claim it with a conditional
+// update, so only one node opens each party.
+
+const DEFAULT_RESYNC_MS = 5 * 60 * 1000;
+const DEFAULT_REMINDER_MINUTES = 10;
+// A party the server only notices this long after startsAt (it was down) is marked missed
+const MISSED_AFTER_MS = 60 * 60 * 1000;
+
+// partyId -> { reminder, start } timers on this node
+const armed = new Map();
+
+let scheduler = null;
+
+const resyncMs = () => Number(process.env.PARTY_RESYNC_MS) || DEFAULT_RESYNC_MS;
+
+// PARTY_REMINDER_MINUTES=0 turns reminders off
+const reminderLeadMs = () => {
+    const minutes = Number(process.env.PARTY_REMINDER_MINUTES);
+    return (process.env.PARTY_REMINDER_MINUTES && Number.isFinite(minutes) && minutes >= 0
+        ? minutes
+        : DEFAULT_REMINDER_MINUTES) * 60 * 1000;
+};
+
+const notify = (io, party, event, extra = {}) => {
+    const notice = { ...partyNotice(party), ...extra };
+    for (const userId of partyAudience(party)) {
+        io.to(`user:${userId}`).emit(event, notice);
+    }
+};
+
+export const unscheduleParty = (partyId) => {
+    const timers = armed.get(partyId.toString());
+    if (timers) {
+        clearTimeout(timers.reminder);
+        clearTimeout(timers.start);
+        armed.delete(partyId.toString());
+    }
+};
+
+const sendReminder = async (io, partyId) => {
+    // Claimed so each reminder goes out once, whichever node gets there first
+    const party = await ScheduledParty.findOneAndUpdate(
+        { _id: partyId, status: "scheduled", reminderSentAt: null },
+        { $set: { reminderSentAt: new Date() } },
+        { new: true }
+    ).lean();
+    if (party) {
+        notify(io, party, "party-reminder");
+        console.log(`⏰ Reminder sent for party ${partyId}`);
+    }
+};
+
+// Create the host's room with the party's title and videos, then tell everyone it is on
+const openParty = async (io, partyId) => {
+    unscheduleParty(partyId);
+
+    const party = await ScheduledParty.findById(partyId).lean();
+    if (!party || party.status !== "scheduled") {
+        return;
+    }
+
+    // Moved to a later time on another node since this timer was set
+    if (party.startsAt.getTime() > Date.now() + 1000) {
+        armParty(io, party);
+        return;
+    }
+
+    const late = Date.now() - party.startsAt.getTime() > MISSED_AFTER_MS;
+    const claimed = await ScheduledParty.findOneAndUpdate(
+        { _id: partyId, status: "scheduled", startsAt: party.startsAt },
+        { $set: late ? { status: "missed" } : { status: "started", startedAt: new Date() } },
+        { new: true }
+    ).lean();
+    if (!claimed || late) {
+        if (claimed) {
+            console.log(`⌛ Party ${partyId} missed its start time`);
+        }
+        return;
+    }
+
+    try {
+        const room = await createRoom(io, party.host.toString(), {
+            title: party.title,
+            description: party.description,
+            visibility: party.visibility,
+        });
+        const roomId = room._id.toString();
+
+        const [first, ...rest] = party.videos;
+        if (first) {
+            await setPlaybackState(
+                roomId,
+                { position: 0, isPlaying: false },
+                { videoUrl: first.url, serviceId: first.serviceId, mediaId: first.mediaId, currentItemId: null }
+            );
+        }
+        if (rest.length > 0) {
+            const queue = rest.map((video) => ({ ...video, addedBy: party.host, addedByName: party.hostName }));
+            await Room.updateOne({ _id: roomId }, { $push: { queue: { $each: queue } } });
+        }
+
+        const started = await ScheduledParty.findByIdAndUpdate(
+            partyId,
+            { $set: { room: room._id, inviteCode: room.inviteCode } },
+            { new: true }
+        ).lean();
+
+        notify(io, started, "party-starting", { roomId, inviteCode: room.inviteCode });
+        console.log(`🎉 Party ${partyId} started in room ${roomId}`);
+    } catch (error) {
+        await ScheduledParty.updateOne({ _id: partyId }, { $set: { status: "failed" } });
+        console.error(`❌ Failed to open party ${partyId}:`, error.message);
+    }
+};
+
+// When a party's timers should fire, in ms from now: { startIn, remindIn } (remindIn is null
+// when there is no reminder to send), or null while its first timer is still beyond the horizon.
+// The reminder counts, so a reminder lead longer than the horizon still goes out on time.
+export const planPartyTimers = (party, now = Date.now()) => {
+    const startsIn = party.startsAt.getTime() - now;
+    const lead = reminderLeadMs();
+    const remind = lead > 0 && !party.reminderSentAt && startsIn > 0;
+    if (startsIn - (remind ? lead : 0) > 2 * resyncMs()) {
+        return null;
+    }
+    return { startIn: Math.max(0, startsIn), remindIn: remind ? Math.max(0, startsIn - lead) : null };
+};
+
+// Set (or reset) this node's timers for a party whose first timer falls within the horizon;
+// later parties are picked up by a resync closer to the time
+export const armParty = (io, party) => {
+    const partyId = party._id.toString();
+    unscheduleParty(partyId);
+    if (party.status !== "scheduled") {
+        return;
+    }
+
+    const plan = planPartyTimers(party);
+    if (!plan) {
+        return;
+    }
+
+    const timers = {
+        start: setTimeout(runSafely(() => openParty(io, partyId), `opening party ${partyId}`), plan.startIn),
+        reminder: null,
+    };
+
+    if (plan.remindIn !== null) {
+        timers.reminder = setTimeout(
+            runSafely(() => sendReminder(io, partyId), `sending reminder for party ${partyId}`),
+            plan.remindIn
+        );
+    }
+
+    armed.set(partyId, timers);
+};
+
+// Load every party whose reminder or start is due within the horizon (or overdue) that this node
+// isn't timing yet; armParty skips the ones whose reminder has already gone out
+const resync = async (io) => {
+    const horizon = new Date(Date.now() + reminderLeadMs() + 2 * resyncMs());
+    const due = await ScheduledParty.find({ status: "scheduled", startsAt: { $lte: horizon } }).lean();
+    for (const party of due) {
+        if (!armed.has(party._id.toString())) {
+            armParty(io, party);
+        }
+    }
+};
+
+export const startPartyScheduler = (io) => {
+    if (scheduler) {
+        return scheduler;
+    }
+
+    const tick = runSafely(() => resync(io), "reloading scheduled parties");
+    tick();
+    scheduler = runEvery(resyncMs(), tick);
+    return scheduler;
+};
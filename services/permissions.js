@@ -0,0 +1,59 @@
+// Room roles and what each of them may do.
+// The host is always `room.admin`; everyone else carries a role on their `room.users` entry.
+
+export const ROLES = ["host", "cohost", "moderator", "viewer"];
+
+// Roles the host can hand out with `set-role` (host only moves via transfer-host)
+export const ASSIGNABLE_ROLES = ["cohost", "moderator", "viewer"];
+
+// Higher rank outranks lower: nobody can act on someone of equal or higher rank
+const ROLE_RANK = { host: 3, cohost: 2, moderator: 1, viewer: 0 };
+
+export const PERMISSIONS = {
+    "control-playback": ["host", "cohost"],
+    "edit-queue": ["host", "cohost"],
+    "moderate-chat": ["host", "cohost", "moderator"],
+    "kick": ["host", "cohost", "moderator"],
+    "ban": ["host", "cohost"],
+    "manage-roles": ["host"],
+    "manage-room": ["host"],
+};
+
+const findParticipant = (room, userId) => room.users.find((u) => u.id.toString() === userId);
+
+// Role of userId in room, or null if they aren't a participant
+export const getRole = (room, userId) => {
+    if (room.admin.toString() === userId) {
+        return "host";
+    }
+    const participant = findParticipant(room, userId);
+    if (!participant) {
+        return null;
+    }
+    // Entries from before roles existed, or a stale "host" left behind, count as viewers
+    return participant.role && participant.role !== "host" ? participant.role : "viewer";
+};
+
+export const can = (room, userId, action) => {
+    const role = getRole(room, userId);
+    return Boolean(role) && (PERMISSIONS[action] || []).includes(role);
+};
+
+export const outranks = (room, actorId, targetId) =>
+    ROLE_RANK[getRole(room, actorId)] > ROLE_RANK[getRole(room, targetId) || "viewer"];
+
+// Who takes over when the host leaves: the longest-present co-host, else the longest-present participant
+export const pickSuccessor = (room, leavingUserId) => {
+    const candidates = room.users
+        .map((user, index) => ({ user, index }))
+        .filter(({ user }) => user.id.toString() !== leavingUserId)
+        // Older entries predate joinedAt; array order is join order, so use it as the tiebreaker
+        .sort((a, b) => {
+            const aJoined = a.user.joinedAt ? new Date(a.user.joinedAt).getTime() : 0;
+            const bJoined = b.user.joinedAt ? new Date(b.user.joinedAt).getTime() : 0;
+            return aJoined - bJoined || a.index - b.index;
+        })
+        .map(({ user }) => user);
+
+    return candidates.find((user) => user.role === "cohost") || candidates[0] || null;
+};
@@ -0,0 +1,144 @@
+import Room from "../models/Room.js";
+import { getStore } from "./store/index.js";
+import { isPartyRoom } from "./presence.js";
+import { recordVideo } from "./history.js";
+import { runEvery, runSafely } from "../utils/tasks.js";
+
+// Authoritative playback clock per room.
+// A state is { position, isPlaying, rate, updatedAt }: `position` is where the video was
+// at `updatedAt` (ms since epoch), so the live position can be computed at any moment.
+
+// Playback states are cached in the shared store (so every node agrees) in front of MongoDB
+const stateKey = (roomId) => `playback:${roomId}`;
+// Long enough to outlast any party; entries of rooms nobody touches simply age out
+const STATE_TTL_MS = 12 * 60 * 60 * 1000;
+
+export const MIN_RATE = 0.25;
+export const MAX_RATE = 4;
+
+// Build a playback state from a Room document (lean or hydrated)
+export const toPlaybackState = (room) => ({
+    position: room.playbackTime || 0,
+    isPlaying: Boolean(room.isPlaying),
+    rate: room.playbackRate || 1,
+    updatedAt: room.playbackUpdatedAt ? new Date(room.playbackUpdatedAt).getTime() : Date.now(),
+});
+
+// Where the video should be right now, given the last authoritative change
+export const currentPosition = (state, now = Date.now()) => {
+    if (!state.isPlaying) {
+        return state.position;
+    }
+    const elapsed = Math.max(0, now - state.updatedAt) / 1000;
+    return state.position + elapsed * state.rate;
+};
+
+// Payload sent to clients; serverTime lets them compensate for transit latency
+export const playbackSnapshot = (state, now = Date.now()) => ({
+    position: currentPosition(state, now),
+    isPlaying: state.isPlaying,
+    rate: state.rate,
+    updatedAt: state.updatedAt,
+    serverTime: now,
+});
+
+export const getPlaybackState = async (roomId) => {
+    const cached = await getStore().get(stateKey(roomId));
+    if (cached) {
+        return cached;
+    }
+
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        return null;
+    }
+
+    const state = toPlaybackState(room);
+    await getStore().set(stateKey(roomId), state, STATE_TTL_MS);
+    return state;
+};
+
+// Apply a change ({ position, isPlaying, rate }) and persist it. Fields left out keep
+// their live value, so a rate change mid-playback doesn't jump the position.
+// `roomFields` lets callers persist other Room fields in the same write.
+export const setPlaybackState = async (roomId, changes, roomFields = {}, now = Date.now()) => {
+    const previous = (await getPlaybackState(roomId)) || toPlaybackState({});
+    const state = {
+        position: changes.position ?? currentPosition(previous, now),
+        isPlaying: changes.isPlaying ?? previous.isPlaying,
+        rate: changes.rate ?? previous.rate,
+        updatedAt: now,
+    };
+
+    await Room.findByIdAndUpdate(roomId, {
+        ...roomFields,
+        // Subtitle tracks belong to one video, so a new one starts without any
+        ...(roomFields.videoUrl && { activeSubtitleId: null }),
+        playbackTime: state.position,
+        isPlaying: state.isPlaying,
+        playbackRate: state.rate,
+        playbackUpdatedAt: new Date(now),
+    });
+    // Playing makes an idle room active again; stopping starts its idle clock (see services/lifecycle.js)
+    await Room.updateOne(
+        { _id: roomId, state: state.isPlaying ? "idle" : "active" },
+        { $set: state.isPlaying ? { state: "active", idleSince: null } : { state: "idle", idleSince: new Date(now) } }
+    );
+
+    await getStore().set(stateKey(roomId), state, STATE_TTL_MS);
+    if (roomFields.videoUrl) {
+        await recordVideo(roomId, {
+            url: roomFields.videoUrl,
+            serviceId: roomFields.serviceId,
+            mediaId: roomFields.mediaId,
+        });
+    }
+    return state;
+};
+
+// Load a resolved video (see providers/index.js) for everyone in the room, paused at the start.
+// Used by play-video and poll winners. Returns the load-video payload.
+export const loadVideo = async (io, roomId, source) => {
+    const state = await setPlaybackState(
+        roomId,
+        { position: 0, isPlaying: false },
+        { videoUrl: source.url, serviceId: source.serviceId, mediaId: source.mediaId, currentItemId: null }
+    );
+
+    const video = {
+        roomId,
+        url: source.url,
+        serviceId: source.serviceId,
+        mediaId: source.mediaId,
+        playback: playbackSnapshot(state),
+    };
+    io.to(roomId).emit("load-video", video);
+    console.log(`Emitted load-video to room ${roomId} with URL: ${source.url}`);
+    return video;
+};
+
+export const forgetPlaybackState = (roomId) => getStore().del(stateKey(roomId));
+
+// How far a client's reported position is from the authoritative one (positive = ahead)
+export const measureDrift = (state, reportedPosition, now = Date.now()) =>
+    reportedPosition - currentPosition(state, now);
+
+export const driftTolerance = () => Number(process.env.DRIFT_TOLERANCE_SECONDS) || 1.5;
+
+// Periodically send `sync-state` to every room with sockets on this node. Each node only
+// ticks its own sockets (io.local), so rooms spread across nodes don't get duplicate ticks.
+export const startPlaybackSync = (io) => {
+    const intervalMs = Number(process.env.SYNC_INTERVAL_MS) || 5000;
+
+    const tick = async () => {
+        const roomIds = [...io.of("/").adapter.rooms.keys()].filter(isPartyRoom);
+        for (const roomId of roomIds) {
+            const state = await getPlaybackState(roomId);
+            if (state) {
+                io.local.to(roomId).emit("sync-state", { roomId, playback: playbackSnapshot(state) });
+            }
+        }
+    };
+
+    return runEvery(intervalMs, runSafely(tick, "broadcasting sync-state"));
+};
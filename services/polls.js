@@ -0,0 +1,316 @@
+import mongoose from "mongoose";
+import Room from "../models/Room.js";
+import { resolveVideoUrl, VideoSourceError } from "../providers/index.js";
+import { loadVideo } from "./playback.js";
+import { CLOSED_STATES } from "./lifecycle.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { runEvery, runSafely } from "../utils/tasks.js";
+import { invalid } from "../utils/validation.js";
+
+// In-room polls. Any participant can ask a question with 2 to MAX_POLL_OPTIONS choices, each
+// optionally a video; everyone votes once and can change their vote while the poll is open.
+// A poll closes by hand (its creator or whoever controls playback) or at closesAt; with autoPlay
+// the winning video is then loaded like play-video would. Ties go to the choice listed first.
+// Polls live on the Room: the open ones plus the last MAX_KEPT_POLLS, oldest first.
+//
+// Timed polls are closed by timers on every node, reloaded from MongoDB on boot and every
+// RESYNC interval (as in services/partyScheduler.js); closing is a conditional update, so only
+// one node closes each poll.
+
+export const MAX_POLL_OPTIONS = 10;
+export const MAX_OPEN_POLLS = 3;
+export const MAX_QUESTION_LENGTH = 200;
+export const MAX_OPTION_LENGTH = 100;
+export const MIN_POLL_SECONDS = 10;
+export const MAX_POLL_SECONDS = 24 * 60 * 60;
+const MAX_KEPT_POLLS = 20;
+const RESYNC_MS = 60 * 1000;
+
+// Schema rules (see utils/validation.js) for create-poll; buildPoll checks the options.
+//   options:         [{ text?, url? }], text defaults to the url
+//   durationSeconds: close automatically after this long
+//   autoPlay:        load the winning video on close (needs playback control and a video option)
+export const pollRules = {
+    question: { type: "string", minLength: 1, maxLength: MAX_QUESTION_LENGTH, required: true },
+    options: { type: "array", maxItems: MAX_POLL_OPTIONS, required: true },
+    durationSeconds: { type: "number", integer: true, min: MIN_POLL_SECONDS, max: MAX_POLL_SECONDS },
+    autoPlay: { type: "boolean" },
+};
+
+// pollId -> timer on this node
+const armed = new Map();
+
+let scheduler = null;
+
+const buildOption = (option, index) => {
+    if (option === null || typeof option !== "object") {
+        throw invalid(`Invalid options[${index}]: must be an object with a text or url`);
+    }
+
+    const text = typeof option.text === "string" ? option.text.trim() : "";
+    if (text.length > MAX_OPTION_LENGTH) {
+        throw invalid(`Invalid options[${index}].text: must be at most ${MAX_OPTION_LENGTH} characters`);
+    }
+
+    if (option.url === undefined || option.url === null || option.url === "") {
+        if (!text) {
+            throw invalid(`Invalid options[${index}]: must have a text or url`);
+        }
+        return { text };
+    }
+
+    let source;
+    try {
+        source = resolveVideoUrl(option.url);
+    } catch (error) {
+        if (error instanceof VideoSourceError) {
+            throw new RequestError(error.code, `Invalid options[${index}]: ${error.message}`);
+        }
+        throw error;
+    }
+    return { text: text || source.url, url: source.url, serviceId: source.serviceId, mediaId: source.mediaId };
+};
+
+// Turn create-poll input (already checked against pollRules) into a poll for Room.polls
+export const buildPoll = (input, creator, now = Date.now()) => {
+    if (input.options.length < 2) {
+        throw invalid("Invalid options: a poll needs at least 2 options");
+    }
+
+    const options = input.options.map(buildOption);
+    const autoPlay = Boolean(input.autoPlay);
+    if (autoPlay && !options.some((option) => option.url)) {
+        throw invalid("Invalid autoPlay: none of the options is a video");
+    }
+
+    return {
+        _id: new mongoose.Types.ObjectId(),
+        question: input.question.trim(),
+        options: options.map((option) => ({ _id: new mongoose.Types.ObjectId(), ...option })),
+        votes: [],
+        createdBy: creator.id,
+        createdByName: creator.username,
+        status: "open",
+        autoPlay,
+        closesAt: input.durationSeconds ? new Date(now + input.durationSeconds * 1000) : null,
+        createdAt: new Date(now),
+    };
+};
+
+// The option with the most votes (the first listed on a tie), or null without votes
+export const pickWinner = (poll) => {
+    const counts = new Map();
+    for (const vote of poll.votes) {
+        const optionId = vote.optionId.toString();
+        counts.set(optionId, (counts.get(optionId) || 0) + 1);
+    }
+
+    let winner = null;
+    let best = 0;
+    for (const option of poll.options) {
+        const count = counts.get(option._id.toString()) || 0;
+        if (count > best) {
+            winner = option;
+            best = count;
+        }
+    }
+    return winner;
+};
+
+// A poll as clients see it, with the tally and who voted for what
+export const serializePoll = (poll) => ({
+    id: poll._id.toString(),
+    question: poll.question,
+    options: poll.options.map((option) => {
+        const voters = poll.votes
+            .filter((vote) => vote.optionId.toString() === option._id.toString())
+            .map((vote) => vote.userId.toString());
+        return {
+            id: option._id.toString(),
+            text: option.text,
+            url: option.url || null,
+            serviceId: option.serviceId || null,
+            mediaId: option.mediaId || null,
+            votes: voters.length,
+            voters,
+        };
+    }),
+    totalVotes: poll.votes.length,
+    createdBy: { id: poll.createdBy.toString(), username: poll.createdByName },
+    status: poll.status,
+    autoPlay: poll.autoPlay,
+    closesAt: poll.closesAt,
+    closedAt: poll.closedAt,
+    winnerId: poll.winnerId ? poll.winnerId.toString() : null,
+    createdAt: poll.createdAt,
+});
+
+export const serializePolls = (room) => (room.polls || []).map(serializePoll);
+
+const findPoll = (room, pollId) => (room.polls || []).find((poll) => poll._id.toString() === pollId) || null;
+
+export const unarmPoll = (pollId) => {
+    const timer = armed.get(pollId.toString());
+    if (timer) {
+        clearTimeout(timer);
+        armed.delete(pollId.toString());
+    }
+};
+
+// Close an open poll, announce the result and, with autoPlay, load the winning video.
+// closedBy is null when the timer closed it. Returns the closed poll, or null if it was no
+// longer open (closed by hand or on another node, or the room has ended).
+export const closePoll = async (io, roomId, pollId, closedBy = null) => {
+    unarmPoll(pollId);
+
+    // Closing first means no vote can land after the winner is counted
+    const id = new mongoose.Types.ObjectId(pollId);
+    const claimed = await Room.findOneAndUpdate(
+        { _id: roomId, state: { $nin: CLOSED_STATES }, polls: { $elemMatch: { _id: id, status: "open" } } },
+        { $set: { "polls.$.status": "closed", "polls.$.closedAt": new Date() } },
+        { new: true }
+    ).lean();
+    if (!claimed) {
+        return null;
+    }
+
+    const winner = pickWinner(findPoll(claimed, pollId));
+    const room = await Room.findOneAndUpdate(
+        { _id: roomId, "polls._id": id },
+        { $set: { "polls.$.winnerId": winner ? winner._id : null } },
+        { new: true }
+    ).lean();
+    const closed = findPoll(room, pollId);
+    io.to(roomId).emit("poll-closed", { roomId, closedBy, poll: serializePoll(closed) });
+    console.log(`🗳️ Poll ${pollId} closed in room ${roomId} (winner: ${winner ? winner.text : "none"})`);
+
+    if (closed.autoPlay && winner?.url) {
+        await loadVideo(io, roomId, { url: winner.url, serviceId: winner.serviceId, mediaId: winner.mediaId });
+    }
+    return closed;
+};
+
+// Set (or reset) this node's timer for a poll if it closes within the horizon; later ones are
+// picked up by a resync closer to the time
+export const armPoll = (io, roomId, poll) => {
+    const pollId = poll._id.toString();
+    unarmPoll(pollId);
+    if (poll.status !== "open" || !poll.closesAt) {
+        return;
+    }
+
+    const closesIn = new Date(poll.closesAt).getTime() - Date.now();
+    if (closesIn > 2 * RESYNC_MS) {
+        return;
+    }
+
+    armed.set(
+        pollId,
+        setTimeout(
+            runSafely(() => closePoll(io, roomId, pollId), `closing poll ${pollId}`),
+            Math.max(0, closesIn)
+        )
+    );
+};
+
+// Drop the oldest closed polls beyond MAX_KEPT_POLLS
+const trimPolls = async (roomId, room) => {
+    const closed = room.polls.filter((poll) => poll.status === "closed");
+    const excess = closed.length - MAX_KEPT_POLLS;
+    if (excess > 0) {
+        const dropped = closed.slice(0, excess).map((poll) => poll._id);
+        await Room.updateOne({ _id: roomId }, { $pull: { polls: { _id: { $in: dropped }, status: "closed" } } });
+    }
+};
+
+// The room's open polls, in an aggregation expression
+const openPollsFilter = { input: { $ifNull: ["$polls", []] }, cond: { $eq: ["$$this.status", "open"] } };
+
+// Add a poll (from buildPoll) to a room, keeping at most MAX_OPEN_POLLS open at a time
+export const createPoll = async (io, roomId, poll) => {
+    const room = await Room.findOneAndUpdate(
+        {
+            _id: roomId,
+            state: { $nin: CLOSED_STATES },
+            $expr: { $lt: [{ $size: { $filter: openPollsFilter } }, MAX_OPEN_POLLS] },
+        },
+        { $push: { polls: poll } },
+        { new: true }
+    ).lean();
+    if (!room) {
+        throw new RequestError(ERROR_CODES.CONFLICT, `This room already has ${MAX_OPEN_POLLS} open polls`);
+    }
+
+    await trimPolls(roomId, room);
+    armPoll(io, roomId, poll);
+    io.to(roomId).emit("poll-created", { roomId, poll: serializePoll(poll) });
+    console.log(`🗳️ Poll ${poll._id} created in room ${roomId} by ${poll.createdBy}`);
+    return poll;
+};
+
+// Record (or change) userId's vote and send the new tally to the room. Returns the updated poll.
+export const castVote = async (io, room, pollId, optionId, userId) => {
+    const roomId = room._id.toString();
+    const poll = findPoll(room, pollId);
+    if (!poll) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Poll ${pollId} not found`);
+    }
+    if (!poll.options.some((option) => option._id.toString() === optionId)) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Option ${optionId} not found`);
+    }
+
+    const voter = new mongoose.Types.ObjectId(userId);
+    const choice = new mongoose.Types.ObjectId(optionId);
+    const openPoll = { _id: poll._id, status: "open" };
+
+    // Change an existing vote, or else add one; the $ne guard keeps concurrent first votes from doubling up
+    let result = await Room.updateOne(
+        { _id: roomId, polls: { $elemMatch: { ...openPoll, "votes.userId": voter } } },
+        { $set: { "polls.$[poll].votes.$[mine].optionId": choice, "polls.$[poll].votes.$[mine].votedAt": new Date() } },
+        { arrayFilters: [{ "poll._id": poll._id }, { "mine.userId": voter }] }
+    );
+    if (result.matchedCount === 0) {
+        result = await Room.updateOne(
+            { _id: roomId, polls: { $elemMatch: { ...openPoll, "votes.userId": { $ne: voter } } } },
+            { $push: { "polls.$.votes": { userId: voter, optionId: choice, votedAt: new Date() } } }
+        );
+    }
+    if (result.matchedCount === 0) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "This poll is closed");
+    }
+
+    const updated = findPoll(await Room.findById(roomId).lean(), pollId);
+    const serialized = serializePoll(updated);
+    io.to(roomId).emit("poll-updated", { roomId, poll: serialized });
+    return serialized;
+};
+
+// Load every open timed poll closing within the horizon (or overdue) that this node isn't timing yet
+const resync = async (io) => {
+    const horizon = new Date(Date.now() + 2 * RESYNC_MS);
+    const rooms = await Room.find({
+        state: { $nin: CLOSED_STATES },
+        polls: { $elemMatch: { status: "open", closesAt: { $ne: null, $lte: horizon } } },
+    })
+        .select("polls")
+        .lean();
+
+    for (const room of rooms) {
+        for (const poll of room.polls) {
+            if (!armed.has(poll._id.toString())) {
+                armPoll(io, room._id.toString(), poll);
+            }
+        }
+    }
+};
+
+export const startPollScheduler = (io) => {
+    if (scheduler) {
+        return scheduler;
+    }
+
+    const tick = runSafely(() => resync(io), "reloading timed polls");
+    tick();
+    scheduler = runEvery(RESYNC_MS, tick);
+    return scheduler;
+};
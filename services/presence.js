@@ -0,0 +1,89 @@
+import { getStore } from "./store/index.js";
+
+// Which sockets each user has open in each room, across every node (room + user -> set of
+// socket ids), so a user with several tabs or devices only leaves when the last one does.
+
+// Socket.IO rooms that are watch-party rooms (not socket ids, user channels or voice channels)
+const ROOM_ID_PATTERN = /^[0-9a-f]{24}$/;
+
+export const isPartyRoom = (name) => ROOM_ID_PATTERN.test(name);
+
+// "away" is only ever set by the server (reconnect grace period); clients report the rest
+export const CLIENT_STATUSES = ["online", "watching", "idle"];
+
+// With several tabs open, the most engaged one decides the user's status
+const STATUS_RANK = { watching: 3, online: 2, idle: 1 };
+
+const STATUS_TTL_MS = 12 * 60 * 60 * 1000;
+
+const roomKey = (roomId, userId) => `presence:room:${roomId}:${userId}`;
+const statusKey = (roomId, socketId) => `presence:status:${roomId}:${socketId}`;
+
+// Put a socket (local, or remote from fetchSockets) into a room and record it
+export const joinRoom = async (socket, roomId) => {
+    socket.join(roomId);
+    await getStore().sadd(roomKey(roomId, socket.data.userId), socket.id);
+};
+
+// Forget a socket that left the room and return how many of the user's sockets are still in it.
+// Entries can outlive a crashed node, so a non-zero count is confirmed against the live sockets
+// in the room (fetchSockets asks every node through the adapter).
+export const leaveRoom = async (io, roomId, userId, socketId) => {
+    const store = getStore();
+    const key = roomKey(roomId, userId);
+    await store.del(statusKey(roomId, socketId));
+
+    const remaining = await store.srem(key, socketId);
+    if (remaining === 0) {
+        return 0;
+    }
+
+    let live;
+    try {
+        const sockets = await io.in(roomId).fetchSockets();
+        live = new Set(sockets.filter((s) => s.data.userId === userId).map((s) => s.id));
+    } catch (error) {
+        console.error(`Error confirming presence for user ${userId} in room ${roomId}:`, error.message);
+        return remaining;
+    }
+
+    const stored = await store.smembers(key);
+    for (const id of stored) {
+        if (!live.has(id)) {
+            await store.srem(key, id);
+            await store.del(statusKey(roomId, id));
+        }
+    }
+    return stored.filter((id) => live.has(id)).length;
+};
+
+// Drop every socket of the user from the room's presence (kicks, bans, hosting a new room)
+export const clearRoomPresence = async (roomId, userId) => {
+    const store = getStore();
+    const key = roomKey(roomId, userId);
+    for (const socketId of await store.smembers(key)) {
+        await store.del(statusKey(roomId, socketId));
+    }
+    await store.del(key);
+};
+
+export const countRoomSockets = (roomId, userId) => getStore().scard(roomKey(roomId, userId));
+
+// Remember what one socket reported and return the user's combined status in the room
+export const setSocketStatus = async (roomId, userId, socketId, status) => {
+    await getStore().set(statusKey(roomId, socketId), status, STATUS_TTL_MS);
+    return roomStatus(roomId, userId);
+};
+
+// Combined status over the user's sockets in the room; sockets that never reported count as online
+export const roomStatus = async (roomId, userId) => {
+    const store = getStore();
+    let best = null;
+    for (const socketId of await store.smembers(roomKey(roomId, userId))) {
+        const status = (await store.get(statusKey(roomId, socketId))) || "online";
+        if (!best || STATUS_RANK[status] > STATUS_RANK[best]) {
+            best = status;
+        }
+    }
+    return best || "online";
+};
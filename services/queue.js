@@ -0,0 +1,48 @@
+import Room from "../models/Room.js";
+import { setPlaybackState } from "./playback.js";
+
+export const QUEUE_MODES = ["host", "everyone", "approval"];
+export const MAX_QUEUE_LENGTH = 100;
+
+export const serializeQueueItem = (item) => ({
+    id: item._id.toString(),
+    url: item.url,
+    title: item.title,
+    serviceId: item.serviceId,
+    mediaId: item.mediaId,
+    addedBy: item.addedBy.toString(),
+    addedByName: item.addedByName,
+    addedAt: item.addedAt,
+});
+
+// Queue state as sent to clients in `queue-updated` and join snapshots
+export const serializeQueue = (room) => ({
+    queue: (room.queue || []).map(serializeQueueItem),
+    pending: (room.pendingQueue || []).map(serializeQueueItem),
+    currentItemId: room.currentItemId ? room.currentItemId.toString() : null,
+    queueMode: room.settings?.queueMode || "host",
+});
+
+// Pop the head of the queue and load it as the room's video.
+// Returns null when the queue is empty, otherwise the loaded item and the new playback state.
+export const advanceQueue = async (roomId, { autoplay = true } = {}) => {
+    // $pop is atomic, so two "ended" reports can't both advance past the same item
+    const room = await Room.findOneAndUpdate(
+        { _id: roomId, "queue.0": { $exists: true } },
+        { $pop: { queue: -1 } },
+        { new: false }
+    ).lean();
+
+    if (!room) {
+        return null;
+    }
+
+    const item = room.queue[0];
+    const state = await setPlaybackState(
+        roomId,
+        { position: 0, isPlaying: autoplay },
+        { videoUrl: item.url, serviceId: item.serviceId, mediaId: item.mediaId, currentItemId: item._id }
+    );
+
+    return { item, state };
+};
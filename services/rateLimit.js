@@ -0,0 +1,162 @@
+import { getStore } from "./store/index.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+
+// Token-bucket rate limits. Each bucket holds up to `capacity` tokens and refills continuously
+// at `refillPerSecond`; every request takes one token and an empty bucket throttles the client
+// until the next token comes back. A limit has one bucket per scope it is keyed on:
+//   user    - the authenticated user id
+//   ip      - the client's address (see clientIp)
+//   account - whatever a login attempt targets (the email), so guessing spreads across IPs don't help
+//
+// Buckets live in the shared store, so the limits hold across nodes. Reads and writes aren't
+// atomic, which can let a burst of concurrent requests through; that's fine for abuse protection.
+
+const minutes = (n) => n / 60;
+
+export const DEFAULT_LIMITS = {
+    // Any socket event without its own limit below
+    "socket:default": {
+        user: { capacity: 60, refillPerSecond: 20 },
+        ip: { capacity: 200, refillPerSecond: 60 },
+    },
+    // create-room replaces the caller's previous room, so keep it rare
+    "create-room": {
+        user: { capacity: 3, refillPerSecond: minutes(2) },
+        ip: { capacity: 10, refillPerSecond: minutes(6) },
+    },
+    "join-room": {
+        user: { capacity: 10, refillPerSecond: 0.5 },
+        ip: { capacity: 30, refillPerSecond: 1 },
+    },
+    "send-message": {
+        user: { capacity: 10, refillPerSecond: 1 },
+        ip: { capacity: 30, refillPerSecond: 3 },
+    },
+    "edit-message": { user: { capacity: 10, refillPerSecond: 0.5 } },
+    "toggle-reaction": { user: { capacity: 20, refillPerSecond: 2 } },
+    "timeline-reaction": { user: { capacity: 10, refillPerSecond: 1 } },
+    "play-video": { user: { capacity: 5, refillPerSecond: 0.2 } },
+    "seek-video": { user: { capacity: 10, refillPerSecond: 1 } },
+    "queue-add": { user: { capacity: 10, refillPerSecond: 0.5 } },
+    "create-poll": { user: { capacity: 3, refillPerSecond: minutes(2) } },
+    "vote-poll": { user: { capacity: 10, refillPerSecond: 1 } },
+    "subtitles:upload": { user: { capacity: 5, refillPerSecond: minutes(1) } },
+    // Voice activity flips on and off quickly while someone talks
+    "voice-speaking": { user: { capacity: 30, refillPerSecond: 10 } },
+    "party:create": { user: { capacity: 10, refillPerSecond: minutes(1) } },
+    // Failed and successful attempts both count; 5 tries per account, then one a minute
+    "auth:signin": {
+        ip: { capacity: 20, refillPerSecond: minutes(10) },
+        account: { capacity: 5, refillPerSecond: minutes(1) },
+    },
+    "auth:signup": {
+        ip: { capacity: 5, refillPerSecond: minutes(1) },
+    },
+    "auth:refresh": {
+        ip: { capacity: 30, refillPerSecond: minutes(30) },
+    },
+    // Wrong current passwords count too, so this also stops guessing with a stolen access token
+    "auth:change-password": {
+        user: { capacity: 5, refillPerSecond: minutes(1) },
+    },
+    "auth:avatar": {
+        user: { capacity: 5, refillPerSecond: minutes(1) },
+    },
+};
+
+// RATE_LIMITS overrides the defaults with JSON of the same shape, per limit and scope, e.g.
+// RATE_LIMITS='{"send-message":{"user":{"capacity":5,"refillPerSecond":0.5}}}'
+const loadLimits = () => {
+    const limits = structuredClone(DEFAULT_LIMITS);
+    if (!process.env.RATE_LIMITS) {
+        return limits;
+    }
+
+    try {
+        for (const [name, scopes] of Object.entries(JSON.parse(process.env.RATE_LIMITS))) {
+            limits[name] = { ...limits[name], ...scopes };
+        }
+    } catch (error) {
+        console.error("Ignoring invalid RATE_LIMITS:", error.message);
+    }
+    return limits;
+};
+
+// Take one token from a bucket. Returns { allowed, remaining, retryAfterMs }.
+export const takeToken = async (store, key, { capacity, refillPerSecond }, now) => {
+    const bucket = await store.get(key);
+    const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+    const tokens = bucket ? Math.min(capacity, bucket.tokens + elapsed * refillPerSecond) : capacity;
+
+    if (tokens < 1) {
+        return { allowed: false, remaining: 0, retryAfterMs: Math.ceil(((1 - tokens) / refillPerSecond) * 1000) };
+    }
+
+    // A bucket left alone until it is full again is the same as no bucket, so let it expire then
+    const refillMs = Math.ceil((capacity / refillPerSecond) * 1000);
+    await store.set(key, { tokens: tokens - 1, updatedAt: now }, refillMs);
+    return { allowed: true, remaining: Math.floor(tokens - 1), retryAfterMs: 0 };
+};
+
+// `store` and `now` are injectable so limits can be exercised with a MemoryStore and a fake clock
+export const createRateLimiter = ({ limits = DEFAULT_LIMITS, store = null, now = () => Date.now() } = {}) => ({
+    limits,
+
+    // Take a token for every scope of the limit that has an identity. Throws a RATE_LIMITED
+    // RequestError (with retryAfterMs) when any of them is empty.
+    async consume(name, identities) {
+        const limit = limits[name];
+        if (!limit) {
+            return;
+        }
+
+        const backing = store || getStore();
+        const at = now();
+        for (const [scope, bucket] of Object.entries(limit)) {
+            const identity = identities[scope];
+            if (!identity) {
+                continue;
+            }
+
+            const result = await takeToken(backing, `ratelimit:${name}:${scope}:${identity}`, bucket, at);
+            if (!result.allowed) {
+                throw new RequestError(
+                    ERROR_CODES.RATE_LIMITED,
+                    `Too many requests, try again in ${Math.ceil(result.retryAfterMs / 1000)}s`,
+                    { retryAfterMs: result.retryAfterMs }
+                );
+            }
+        }
+    },
+});
+
+// Built on first use, after dotenv has loaded RATE_LIMITS
+let rateLimiter = null;
+
+export const getRateLimiter = () => {
+    if (!rateLimiter) {
+        rateLimiter = createRateLimiter({ limits: loadLimits() });
+    }
+    return rateLimiter;
+};
+
+// Socket events without a limit of their own share the default one
+export const socketLimitName = (event) => (event in getRateLimiter().limits ? event : "socket:default");
+
+// TRUST_PROXY is the number of reverse proxies in front of the server (0 by default)
+export const trustedProxyHops = () => {
+    const hops = Number(process.env.TRUST_PROXY);
+    return Number.isInteger(hops) && hops > 0 ? hops : 0;
+};
+
+// Client address of a socket handshake, honouring X-Forwarded-For only behind trusted proxies
+export const clientIp = (handshake) => {
+    const hops = trustedProxyHops();
+    const forwarded = handshake.headers?.["x-forwarded-for"];
+    if (hops > 0 && typeof forwarded === "string") {
+        const chain = forwarded.split(",").map((entry) => entry.trim());
+        chain.push(handshake.address);
+        return chain[Math.max(0, chain.length - 1 - hops)];
+    }
+    return handshake.address;
+};
@@ -0,0 +1,165 @@
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import Room from "../models/Room.js";
+import { findActiveBan } from "./moderation.js";
+import { isRoomOpen } from "./lifecycle.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+
+export const JOIN_MODES = ["open", "knock"];
+export const MAX_PARTICIPANTS_LIMIT = 100;
+
+// No 0/O or 1/I/L, so codes survive being read aloud or typed from a screenshot
+const INVITE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+const INVITE_CODE_LENGTH = 6;
+
+// Raised when a join is refused; `code` tells the client why
+export class JoinDeniedError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = "JoinDeniedError";
+        this.code = code;
+    }
+}
+
+export const generateInviteCode = (length = INVITE_CODE_LENGTH) => {
+    let code = "";
+    for (let i = 0; i < length; i++) {
+        code += INVITE_ALPHABET[crypto.randomInt(INVITE_ALPHABET.length)];
+    }
+    return code;
+};
+
+// Pick a code no other room is using (the unique index still guards the tiny race)
+export const createInviteCode = async () => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const code = generateInviteCode();
+        if (!(await Room.exists({ inviteCode: code }))) {
+            return code;
+        }
+    }
+    throw new Error("Failed to generate a unique invite code");
+};
+
+export const normalizeInviteCode = (code) =>
+    typeof code === "string" ? code.trim().toUpperCase().replace(/[^A-Z0-9]/g, "") : "";
+
+// Schema rules (see utils/validation.js) for the access settings; buildAccessUpdate checks the ranges.
+// null/"" removes the password, null removes the cap.
+export const accessRules = {
+    password: { type: "string", nullable: true },
+    maxParticipants: { type: "number", integer: true, nullable: true },
+    joinMode: { type: "enum", values: JOIN_MODES },
+    locked: { type: "boolean" },
+};
+
+// Validate access settings from a client and turn them into Room fields.
+// Only keys present in `input` are changed; a null/empty password removes it.
+export const buildAccessUpdate = async (input = {}) => {
+    const update = {};
+
+    if ("password" in input) {
+        const { password } = input;
+        if (password === null || password === "") {
+            update.passwordHash = null;
+            update["settings.passwordProtected"] = false;
+        } else if (typeof password === "string" && password.length >= 4 && password.length <= 72) {
+            update.passwordHash = await bcrypt.hash(password, 10);
+            update["settings.passwordProtected"] = true;
+        } else {
+            throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Invalid password: must be 4 to 72 characters");
+        }
+    }
+
+    if ("maxParticipants" in input) {
+        const { maxParticipants } = input;
+        if (maxParticipants === null) {
+            update["settings.maxParticipants"] = null;
+        } else if (Number.isInteger(maxParticipants) && maxParticipants >= 2 && maxParticipants <= MAX_PARTICIPANTS_LIMIT) {
+            update["settings.maxParticipants"] = maxParticipants;
+        } else {
+            throw new RequestError(
+                ERROR_CODES.VALIDATION_ERROR,
+                `Invalid maxParticipants: must be between 2 and ${MAX_PARTICIPANTS_LIMIT}, or null`
+            );
+        }
+    }
+
+    if ("joinMode" in input) {
+        if (!JOIN_MODES.includes(input.joinMode)) {
+            throw new RequestError(
+                ERROR_CODES.VALIDATION_ERROR,
+                `Invalid joinMode: must be one of ${JOIN_MODES.join(", ")}`
+            );
+        }
+        update["settings.joinMode"] = input.joinMode;
+    }
+
+    if ("locked" in input) {
+        if (typeof input.locked !== "boolean") {
+            throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Invalid locked: must be a boolean");
+        }
+        update["settings.locked"] = input.locked;
+    }
+
+    return update;
+};
+
+// Decide whether userId may enter the room right now. `room` must include passwordHash;
+// `viaInvite` says whether the user came with the room's invite code (required for private rooms).
+// Returns "join" or "knock"; throws JoinDeniedError otherwise.
+// Nobody gets into an ended room and banned users never get in; otherwise current participants
+// and the host always get back in.
+export const checkJoinAccess = async (room, userId, password, { viaInvite = false } = {}) => {
+    if (!isRoomOpen(room)) {
+        throw new JoinDeniedError("ROOM_ENDED", "This room has ended");
+    }
+
+    const ban = findActiveBan(room, userId);
+    if (ban) {
+        throw new JoinDeniedError("BANNED", "You are banned from this room");
+    }
+
+    const isParticipant = room.users.some((u) => u.id.toString() === userId);
+    if (isParticipant || room.admin.toString() === userId) {
+        return "join";
+    }
+
+    if (room.visibility === "private" && !viaInvite) {
+        throw new JoinDeniedError("INVITE_REQUIRED", "This room is private: join with its invite code");
+    }
+
+    const settings = room.settings || {};
+
+    if (settings.locked) {
+        throw new JoinDeniedError("ROOM_LOCKED", "This room is locked");
+    }
+
+    if (settings.maxParticipants && room.users.length >= settings.maxParticipants) {
+        throw new JoinDeniedError("ROOM_FULL", "This room is full");
+    }
+
+    if (room.passwordHash) {
+        if (typeof password !== "string" || !(await bcrypt.compare(password, room.passwordHash))) {
+            throw new JoinDeniedError("WRONG_PASSWORD", "Incorrect room password");
+        }
+    }
+
+    return settings.joinMode === "knock" ? "knock" : "join";
+};
+
+// Access settings as shown to clients (never the password hash)
+export const serializeAccess = (room) => ({
+    inviteCode: room.inviteCode || null,
+    joinMode: room.settings?.joinMode || "open",
+    maxParticipants: room.settings?.maxParticipants ?? null,
+    locked: Boolean(room.settings?.locked),
+    passwordProtected: Boolean(room.settings?.passwordProtected),
+});
+
+export const serializePendingJoins = (room) =>
+    (room.pendingJoins || []).map((request) => ({
+        userId: request.id.toString(),
+        username: request.username,
+        profilePic: request.profilePic,
+        requestedAt: request.requestedAt,
+    }));
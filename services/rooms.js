@@ -0,0 +1,416 @@
+import Room from "../models/Room.js";
+import User from "../models/User.js";
+import { getPlaybackState, playbackSnapshot, toPlaybackState } from "./playback.js";
+import { getRole, pickSuccessor } from "./permissions.js";
+import { serializeQueue } from "./queue.js";
+import { accessRules, buildAccessUpdate, createInviteCode, serializeAccess } from "./roomAccess.js";
+import { buildListingUpdate, listingRules, serializeDirectoryEntry, serializeListing } from "./directory.js";
+import { serializeMutes } from "./moderation.js";
+import { clearRoomPresence, roomStatus } from "./presence.js";
+import { getVoiceRoster } from "./voice.js";
+import { serializePolls } from "./polls.js";
+import { buildSubtitlesSnapshot } from "./subtitles.js";
+import { recordJoin, recordLeave, recordTitle, resumeSession, startSession } from "./history.js";
+import {
+    CLOSED_STATES,
+    closeRoom,
+    isRoomOpen,
+    reopenableUntil,
+    serializeLifecycle,
+} from "./lifecycle.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+
+// Participant list as clients see it: one entry per user, with role and presence status.
+// Emails stay on the server; users only see their own (GET /api/auth/me).
+export const serializeParticipants = (room) => {
+    const seen = new Set();
+    return room.users
+        .filter((user) => {
+            const id = user.id.toString();
+            if (seen.has(id)) {
+                return false;
+            }
+            seen.add(id);
+            return true;
+        })
+        .map((user) => ({
+            id: user.id.toString(),
+            username: user.username,
+            profilePic: user.profilePic,
+            role: getRole(room, user.id.toString()),
+            status: user.status || "online",
+        }));
+};
+
+// Settings a host picks when creating a room or changes later: access and listing.
+// Shared by the socket events and the REST routes; the build*Update helpers check the values.
+export const roomSettingsRules = { ...accessRules, ...listingRules };
+
+// What someone outside the room may see of it (invite previews, GET /api/room/:roomId)
+export const serializeRoomPreview = (room) => {
+    const access = serializeAccess(room);
+    return {
+        roomId: room._id.toString(),
+        name: room.name,
+        ...serializeListing(room),
+        adminName: room.adminName,
+        participantCount: room.users.length,
+        joinMode: access.joinMode,
+        maxParticipants: access.maxParticipants,
+        locked: access.locked,
+        passwordProtected: access.passwordProtected,
+        lifecycle: serializeLifecycle(room),
+    };
+};
+
+// A room in someone's "my rooms" list, with their role in it
+export const serializeRoomSummary = (room, userId) => ({
+    ...serializeDirectoryEntry({
+        ...room,
+        liveCount: room.users.filter((user) => user.status !== "away").length,
+    }),
+    role: getRole(room, userId),
+    lifecycle: serializeLifecycle(room),
+});
+
+// Helper function to fetch room details
+export const fetchRoomDetails = async (roomId) => {
+    try {
+        const room = await Room.findById(roomId).lean();
+        if (!room) {
+            throw new Error(`Room ${roomId} not found`);
+        }
+
+        const participants = serializeParticipants(room);
+
+        return {
+            roomId: room._id.toString(),
+            adminId: room.admin.toString(),
+            adminName: room.adminName,
+            participants,
+            activeUsersCount: participants.length,
+        };
+    } catch (error) {
+        console.error("Error fetching room details:", error.message);
+        return null;
+    }
+};
+
+// Everything a client needs to render a room it just joined (or resumed), from a lean Room
+export const buildRoomSnapshot = async (room) => {
+    const roomId = room._id.toString();
+    // Late joiners get the live position so they don't start at 0
+    const playback = (await getPlaybackState(roomId)) || toPlaybackState(room);
+
+    return {
+        roomId,
+        adminId: room.admin.toString(),
+        videoUrl: room.videoUrl || "",
+        serviceId: room.serviceId,
+        mediaId: room.mediaId,
+        adminName: room.adminName,
+        listing: serializeListing(room),
+        users: serializeParticipants(room),
+        playback: playbackSnapshot(playback),
+        ...serializeQueue(room),
+        access: serializeAccess(room),
+        mutes: serializeMutes(room),
+        voice: await getVoiceRoster(roomId, room),
+        polls: serializePolls(room),
+        subtitles: await buildSubtitlesSnapshot(room),
+        lifecycle: serializeLifecycle(room),
+    };
+};
+
+// Helper function to make a user (lean User document) the host entry of a room's users
+const hostEntry = (user) => ({
+    id: user._id,
+    username: user.username,
+    profilePic: user.profilePic || null,
+    email: user.email || "No email",
+    role: "host",
+});
+
+// A user hosts one room at a time: leave the open room they host, if any (it goes to a successor)
+const leaveHostedRoom = async (io, userId) => {
+    const existingRoom = await Room.findOne({ admin: userId, state: { $nin: CLOSED_STATES } }).lean();
+    if (existingRoom) {
+        const existingRoomId = existingRoom._id.toString();
+        io.in(`user:${userId}`).socketsLeave(existingRoomId);
+        await clearRoomPresence(existingRoomId, userId);
+        await removeParticipant(io, existingRoomId, userId);
+        console.log(`Left previous room for user ${userId}: ${existingRoomId}`);
+    }
+};
+
+// Create a room hosted by userId with optional settings (validated against roomSettingsRules).
+// A user hosts one room at a time, so their previous room is left and handed to a successor.
+// Returns the new lean Room; the caller puts the host's sockets into it.
+export const createRoom = async (io, userId, options = {}) => {
+    const accessUpdate = await buildAccessUpdate(options);
+    const listingUpdate = buildListingUpdate(options);
+
+    // Check if the user still exists
+    const admin = await User.findById(userId).lean();
+    if (!admin) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `User ${userId} not found`);
+    }
+
+    await leaveHostedRoom(io, userId);
+
+    // Create a new room with the admin as the first user
+    const room = new Room({
+        name: `${admin.username}-Room-${Date.now()}`,
+        admin: userId,
+        adminName: admin.username,
+        users: [hostEntry(admin)],
+        inviteCode: await createInviteCode(),
+    });
+    room.set({ ...accessUpdate, ...listingUpdate });
+    await room.save();
+
+    console.log(`🚀 Room created: ${room._id}, Admin: ${room.admin}`);
+    const created = room.toObject();
+    await startSession(created);
+    return created;
+};
+
+// Reopen an ended room (its host only, within the chat retention window, see services/lifecycle.js).
+// The host is its only participant again, as in a new room; the caller's sockets join it with join-room.
+// Returns the reopened lean Room.
+export const reopenRoom = async (io, room, userId) => {
+    const roomId = room._id.toString();
+    if (isRoomOpen(room)) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "This room is still open");
+    }
+    if (room.admin.toString() !== userId) {
+        throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the host can reopen the room");
+    }
+
+    const until = reopenableUntil(room);
+    if (!until || until.getTime() <= Date.now()) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "This room can no longer be reopened");
+    }
+
+    const host = await User.findById(userId).lean();
+    if (!host) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `User ${userId} not found`);
+    }
+
+    await leaveHostedRoom(io, userId);
+    const reopened = await Room.findOneAndUpdate(
+        { _id: roomId, state: "ended", endedAt: room.endedAt },
+        { $set: { state: "idle", idleSince: new Date(), endedAt: null, users: [hostEntry(host)] } },
+        { new: true }
+    ).lean();
+    if (!reopened) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "This room can no longer be reopened");
+    }
+
+    await resumeSession(roomId);
+    await recordJoin(roomId, host, 1);
+    console.log(`♻️ Room ${roomId} reopened by ${userId}`);
+    return reopened;
+};
+
+// Apply access and/or listing changes (validated against roomSettingsRules) and tell the room.
+// Returns the updated lean Room.
+export const updateRoomSettings = async (io, roomId, input) => {
+    const accessUpdate = await buildAccessUpdate(input);
+    const listingUpdate = buildListingUpdate(input);
+    if (Object.keys(accessUpdate).length === 0 && Object.keys(listingUpdate).length === 0) {
+        throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "No settings to update");
+    }
+
+    const room = await Room.findByIdAndUpdate(
+        roomId,
+        { $set: { ...accessUpdate, ...listingUpdate } },
+        { new: true }
+    ).lean();
+    if (!room) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    if (Object.keys(accessUpdate).length > 0) {
+        io.to(roomId).emit("room-settings-updated", { roomId, access: serializeAccess(room) });
+        console.log(`🔐 Access settings updated for room ${roomId}`);
+    }
+    if (Object.keys(listingUpdate).length > 0) {
+        io.to(roomId).emit("room-listing-updated", { roomId, listing: serializeListing(room) });
+        console.log(`🏷️ Listing updated for room ${roomId} (${room.visibility})`);
+    }
+    if ("title" in listingUpdate) {
+        await recordTitle(roomId, room.title || room.name);
+    }
+    return room;
+};
+
+// Add a user (lean User document) to a room, or mark them online if they are already in it.
+// Returns the updated lean Room.
+export const addParticipant = async (roomId, user) => {
+    // The $ne guard keeps two concurrent joins from adding the same user twice
+    await Room.updateOne(
+        { _id: roomId, "users.id": { $ne: user._id } },
+        {
+            $push: {
+                users: {
+                    id: user._id,
+                    username: user.username,
+                    profilePic: user.profilePic || null,
+                    email: user.email || "No email",
+                    role: "viewer",
+                },
+            },
+        }
+    );
+
+    await Room.updateOne(
+        { _id: roomId, "users.id": user._id },
+        {
+            $set: { "users.$.status": "online", "users.$.awaySince": null },
+            $pull: { pendingJoins: { id: user._id } },
+        }
+    );
+
+    const room = await Room.findById(roomId).lean();
+    if (room) {
+        await recordJoin(roomId, user, room.users.length);
+    }
+    return room;
+};
+
+// Tell everyone in the room about the current participant list (loaded if not passed in)
+export const announceParticipants = async (io, roomId, room = null) => {
+    const current = room || (await Room.findById(roomId).lean());
+    if (!current) {
+        return;
+    }
+
+    io.to(roomId).emit("update-participants", {
+        roomId,
+        participants: serializeParticipants(current),
+    });
+    await broadcastRoomDetails(io, roomId);
+};
+
+// Store a participant's presence status and announce it if it changed
+export const updateParticipantStatus = async (io, roomId, userId, status) => {
+    const result = await Room.updateOne(
+        { _id: roomId, users: { $elemMatch: { id: userId, status: { $ne: status } } } },
+        { $set: { "users.$.status": status, "users.$.awaySince": status === "away" ? new Date() : null } }
+    );
+
+    if (result.modifiedCount > 0) {
+        await announceParticipants(io, roomId);
+    }
+};
+
+// Recompute a participant's status from the sockets they still have in the room
+export const refreshParticipantStatus = async (io, roomId, userId) =>
+    updateParticipantStatus(io, roomId, userId, await roomStatus(roomId, userId));
+
+export const broadcastRoomDetails = async (io, roomId) => {
+    const roomDetails = await fetchRoomDetails(roomId);
+    if (roomDetails) {
+        io.to(roomId).emit("room-details", roomDetails);
+    }
+    return roomDetails;
+};
+
+// Make newHostId the host of the room; the previous host stays on as a co-host
+export const transferHost = async (io, roomId, newHostId) => {
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    const newHost = room.users.find((u) => u.id.toString() === newHostId);
+    if (!newHost) {
+        throw new RequestError(ERROR_CODES.NOT_IN_ROOM, `User ${newHostId} is not in this room`);
+    }
+
+    const previousHostId = room.admin.toString();
+    await Room.updateOne(
+        { _id: roomId },
+        {
+            $set: {
+                admin: newHost.id,
+                adminName: newHost.username,
+                "users.$[next].role": "host",
+                "users.$[prev].role": "cohost",
+            },
+        },
+        { arrayFilters: [{ "next.id": newHost.id }, { "prev.id": room.admin }] }
+    );
+
+    console.log(`👑 Host of room ${roomId} moved from ${previousHostId} to ${newHostId}`);
+    io.to(roomId).emit("host-changed", {
+        roomId,
+        hostId: newHostId,
+        hostName: newHost.username,
+        previousHostId,
+    });
+    await broadcastRoomDetails(io, roomId);
+};
+
+// Remove a participant from a room. If they were the host, hand the room to a successor;
+// the room is only closed once nobody is left in it.
+export const removeParticipant = async (io, roomId, userId) => {
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        console.log(`Room ${roomId} not found`);
+        return;
+    }
+
+    if (!room.users.some((u) => u.id.toString() === userId)) {
+        return;
+    }
+
+    const wasHost = room.admin.toString() === userId;
+    const successor = wasHost ? pickSuccessor(room, userId) : null;
+
+    if (wasHost && !successor) {
+        await closeRoom(io, roomId, "empty");
+        console.log(`🗑️ Room ${roomId} closed (host ${userId} left, no participants remaining)`);
+        return;
+    }
+
+    await Room.findByIdAndUpdate(roomId, {
+        $pull: { users: { id: userId } },
+    });
+    await recordLeave(roomId, userId);
+
+    // Fetch the updated room to check the users list
+    const updatedRoom = await Room.findById(roomId).lean();
+    if (!updatedRoom) {
+        console.log(`Room ${roomId} not found after update`);
+        return;
+    }
+
+    if (updatedRoom.users.length === 0) {
+        await closeRoom(io, roomId, "empty");
+        console.log(`🗑️ Room ${roomId} closed (no participants left)`);
+        return;
+    }
+
+    console.log(`🚪 User ${userId} left room ${roomId}`);
+
+    if (successor) {
+        const successorId = successor.id.toString();
+        await Room.updateOne(
+            { _id: roomId, "users.id": successor.id },
+            { $set: { admin: successor.id, adminName: successor.username, "users.$.role": "host" } }
+        );
+
+        console.log(`👑 Host of room ${roomId} handed off from ${userId} to ${successorId}`);
+        io.to(roomId).emit("host-changed", {
+            roomId,
+            hostId: successorId,
+            hostName: successor.username,
+            previousHostId: userId,
+        });
+    }
+
+    // Reload so the list reflects the hand-off above
+    await announceParticipants(io, roomId);
+};
@@ -0,0 +1,165 @@
+import Room from "../models/Room.js";
+import { announceParticipants, buildRoomSnapshot, removeParticipant } from "./rooms.js";
+import { countRoomSockets, joinRoom } from "./presence.js";
+import { runEvery, runSafely } from "../utils/tasks.js";
+
+// Reconnect grace period: a participant whose last socket in a room drops is marked "away"
+// instead of removed, and is restored to the room if they reconnect (same user, any socket)
+// before the window expires.
+
+const DEFAULT_GRACE_MS = 30000;
+const DEFAULT_SWEEP_INTERVAL_MS = 60 * 1000;
+// Rooms handled per sweep; the rest wait for the next one
+const SWEEP_BATCH = 100;
+
+// "userId:roomId" -> timer that runs the real leave logic once the grace window expires. Timers
+// are per node; the "away" status in MongoDB and the shared presence sets keep nodes consistent,
+// and a sweep expires the sessions whose timer was lost with a restarted or crashed node.
+const pendingDepartures = new Map();
+
+let sweeper = null;
+
+const departureKey = (userId, roomId) => `${userId}:${roomId}`;
+
+// RECONNECT_GRACE_MS=0 disables the grace period
+export const reconnectGraceMs = () => {
+    const value = Number(process.env.RECONNECT_GRACE_MS);
+    return process.env.RECONNECT_GRACE_MS && Number.isFinite(value) && value >= 0 ? value : DEFAULT_GRACE_MS;
+};
+
+const setStatus = (userId, status, filter = {}) =>
+    Room.updateMany(
+        { ...filter, "users.id": userId },
+        {
+            $set: {
+                "users.$[u].status": status,
+                "users.$[u].awaySince": status === "away" ? new Date() : null,
+            },
+        },
+        { arrayFilters: [{ "u.id": userId }] }
+    );
+
+// Remove the user from the room if they are still away from it
+const expireSession = async (io, userId, roomId) => {
+    pendingDepartures.delete(departureKey(userId, roomId));
+
+    // The user may have come back to the room through another tab or node in the meantime
+    if ((await countRoomSockets(roomId, userId)) > 0) {
+        return;
+    }
+
+    const room = await Room.exists({ _id: roomId, users: { $elemMatch: { id: userId, status: "away" } } });
+    if (!room) {
+        return;
+    }
+
+    await removeParticipant(io, roomId, userId);
+    console.log(`⌛ Reconnect window expired for user ${userId} in room ${roomId}`);
+};
+
+// Called when the user's last socket in some rooms drops: mark them away there and start the
+// grace timers. Rooms where another of their sockets is still present are left alone.
+export const beginGracePeriod = async (io, userId, roomIds) => {
+    const graceMs = reconnectGraceMs();
+    const rooms = await Room.find({ _id: { $in: roomIds }, "users.id": userId }).select("_id").lean();
+    if (rooms.length === 0) {
+        return;
+    }
+
+    for (const room of rooms) {
+        const roomId = room._id.toString();
+        if (graceMs === 0) {
+            await expireSession(io, userId, roomId);
+            continue;
+        }
+
+        await setStatus(userId, "away", { _id: roomId });
+        io.to(roomId).emit("participant-away", { roomId, userId, graceMs });
+        await announceParticipants(io, roomId);
+
+        const key = departureKey(userId, roomId);
+        clearTimeout(pendingDepartures.get(key));
+        const timer = setTimeout(() => {
+            expireSession(io, userId, roomId).catch((error) =>
+                console.error(`Error expiring session for user ${userId} in room ${roomId}:`, error.message)
+            );
+        }, graceMs);
+        pendingDepartures.set(key, timer);
+    }
+
+    console.log(`⏳ User ${userId} marked away in ${rooms.length} room(s) for ${graceMs}ms`);
+};
+
+// Expire participants who have been away longer than the grace window and aren't timed on this
+// node (their timer went down with its node). Entries without awaySince predate it and count as expired.
+const sweepExpiredSessions = async (io) => {
+    const cutoff = new Date(Date.now() - reconnectGraceMs());
+    const isExpired = (user) => user.status === "away" && (!user.awaySince || user.awaySince <= cutoff);
+
+    const rooms = await Room.find({
+        users: { $elemMatch: { status: "away", $or: [{ awaySince: { $lte: cutoff } }, { awaySince: null }] } },
+    })
+        .select("users.id users.status users.awaySince")
+        .limit(SWEEP_BATCH)
+        .lean();
+
+    for (const room of rooms) {
+        const roomId = room._id.toString();
+        for (const user of room.users.filter(isExpired)) {
+            const userId = user.id.toString();
+            if (!pendingDepartures.has(departureKey(userId, roomId))) {
+                await expireSession(io, userId, roomId);
+            }
+        }
+    }
+};
+
+// Runs once at boot, then every SESSION_SWEEP_INTERVAL_MS (default every minute)
+export const startSessionSweeper = (io) => {
+    if (sweeper) {
+        return sweeper;
+    }
+
+    const tick = runSafely(() => sweepExpiredSessions(io), "expiring away sessions");
+    tick();
+    sweeper = runEvery(Number(process.env.SESSION_SWEEP_INTERVAL_MS) || DEFAULT_SWEEP_INTERVAL_MS, tick);
+    return sweeper;
+};
+
+// Called on every new connection: if the user was away from any rooms, silently put the socket
+// back into them and send it the current state of each one.
+// Returns the ids of the rooms that were restored.
+export const resumeSession = async (io, socket) => {
+    const userId = socket.data.userId;
+
+    // Look in the database rather than at the timers, so sessions survive a server restart
+    const awayFilter = { users: { $elemMatch: { id: userId, status: "away" } } };
+    const rooms = await Room.find(awayFilter).select("_id").lean();
+    if (rooms.length === 0) {
+        return [];
+    }
+
+    await setStatus(userId, "online", awayFilter);
+
+    const snapshots = [];
+    for (const room of rooms) {
+        const roomId = room._id.toString();
+        const key = departureKey(userId, roomId);
+        clearTimeout(pendingDepartures.get(key));
+        pendingDepartures.delete(key);
+
+        const current = await Room.findById(roomId).lean();
+        if (!current) {
+            continue;
+        }
+
+        await joinRoom(socket, roomId);
+        snapshots.push(await buildRoomSnapshot(current));
+        io.to(roomId).emit("participant-back", { roomId, userId });
+        await announceParticipants(io, roomId, current);
+    }
+
+    socket.emit("session-resumed", { rooms: snapshots });
+    console.log(`🔁 Restored user ${userId} to ${snapshots.length} room(s)`);
+    return snapshots.map((snapshot) => snapshot.roomId);
+};
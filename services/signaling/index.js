@@ -0,0 +1,31 @@
+import MeshSignaling from "./meshSignaling.js";
+
+// How voice peers are wired together. A signaling driver implements:
+//   topology                       - name sent to clients so they know how to connect ("mesh", ...)
+//   maxPeers                       - how many sockets one voice channel may hold
+//   peerJoined(io, peer)           - after a socket joins a channel (e.g. an SFU allocates its transport)
+//   peerLeft(io, peer)             - after it leaves
+//   relay(io, { roomId, from, to, kind, payload })
+//                                  - deliver an offer, answer or ICE candidate; `from` and `to` are
+//                                    voice records of the same channel, `to` is null when the client
+//                                    addressed the server itself (as it would with an SFU)
+// Only the full mesh ships here; setSignaling swaps in another driver, such as a local SFU stand-in.
+
+const DEFAULT_MESH_MAX_PEERS = 6;
+
+// Built on first use, after dotenv has loaded VOICE_MAX_PEERS
+let signaling = null;
+
+export const getSignaling = () => {
+    if (!signaling) {
+        const maxPeers = Number(process.env.VOICE_MAX_PEERS);
+        signaling = new MeshSignaling({
+            maxPeers: Number.isInteger(maxPeers) && maxPeers > 1 ? maxPeers : DEFAULT_MESH_MAX_PEERS,
+        });
+    }
+    return signaling;
+};
+
+export const setSignaling = (next) => {
+    signaling = next;
+};
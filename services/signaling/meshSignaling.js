@@ -0,0 +1,31 @@
+import { ERROR_CODES, RequestError } from "../../utils/errors.js";
+
+// Full mesh: every peer connects directly to every other peer in the voice channel, so the server
+// only relays offers, answers and ICE candidates between two members. Each peer uploads one stream
+// per other peer, which is why the channel size is capped.
+export default class MeshSignaling {
+    constructor({ maxPeers }) {
+        this.topology = "mesh";
+        this.maxPeers = maxPeers;
+    }
+
+    // Nothing to set up or tear down: peers negotiate with each other
+    async peerJoined() {}
+
+    async peerLeft() {}
+
+    // Deliver `kind` ("offer", "answer" or "candidate") from one member to another. `to` is the
+    // target's voice record, already checked to be in the same channel; mesh always needs one.
+    async relay(io, { roomId, from, to, kind, payload }) {
+        if (!to) {
+            throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Missing to: mesh signaling goes peer to peer");
+        }
+
+        io.to(to.socketId).emit(`voice-${kind}`, {
+            roomId,
+            from: from.socketId,
+            userId: from.userId,
+            [kind]: payload,
+        });
+    }
+}
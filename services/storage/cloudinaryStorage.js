@@ -0,0 +1,28 @@
+// Stores files on Cloudinary. `cloudinary` is the configured v2 SDK
+// (it reads CLOUDINARY_URL from the environment).
+export default class CloudinaryStorage {
+    constructor(cloudinary, { rootFolder = "watch-party" } = {}) {
+        this.cloudinary = cloudinary;
+        this.rootFolder = rootFolder;
+    }
+
+    // Returns { key, url }; the key is Cloudinary's public_id
+    save(buffer, { folder }) {
+        return new Promise((resolve, reject) => {
+            const upload = this.cloudinary.uploader.upload_stream(
+                { folder: `${this.rootFolder}/${folder}`, resource_type: "image", overwrite: false },
+                (error, result) => {
+                    if (error) {
+                        return reject(new Error(error.message || "Cloudinary upload failed"));
+                    }
+                    resolve({ key: result.public_id, url: result.secure_url });
+                }
+            );
+            upload.end(buffer);
+        });
+    }
+
+    async remove(key) {
+        await this.cloudinary.uploader.destroy(key, { resource_type: "image", invalidate: true });
+    }
+}
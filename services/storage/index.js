@@ -0,0 +1,35 @@
+import { v2 as cloudinary } from "cloudinary";
+import CloudinaryStorage from "./cloudinaryStorage.js";
+import LocalStorage from "./localStorage.js";
+
+// File storage for uploads. Both backends implement:
+//   save(buffer, { folder, extension }) -> { key, url }   and   remove(key)
+// STORAGE_DRIVER picks one ("cloudinary" or "local"); without it, Cloudinary is used when
+// CLOUDINARY_URL is set and the local disk otherwise.
+
+export const uploadsDir = () => process.env.UPLOADS_DIR || "uploads";
+
+// Built on first use, after dotenv has loaded the environment
+let storage = null;
+
+const createStorage = () => {
+    const driver = process.env.STORAGE_DRIVER || (process.env.CLOUDINARY_URL ? "cloudinary" : "local");
+    if (driver === "cloudinary") {
+        console.log("☁️ Storing uploads on Cloudinary");
+        return new CloudinaryStorage(cloudinary);
+    }
+
+    console.log(`💾 Storing uploads on disk in ${uploadsDir()}`);
+    return new LocalStorage({ root: uploadsDir() });
+};
+
+export const getStorage = () => {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+};
+
+export const setStorage = (next) => {
+    storage = next;
+};
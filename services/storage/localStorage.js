@@ -0,0 +1,40 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+// Stores files on the local disk under `root`, served by express.static at `publicPath`.
+// Works offline and needs no credentials, so it is the default outside production.
+export default class LocalStorage {
+    constructor({ root, publicPath = "/uploads" }) {
+        this.root = path.resolve(root);
+        this.publicPath = publicPath;
+    }
+
+    // Keys come from the database; never let one point outside the upload directory
+    #resolve(key) {
+        const file = path.resolve(this.root, key);
+        if (!file.startsWith(this.root + path.sep)) {
+            throw new Error(`Invalid storage key: ${key}`);
+        }
+        return file;
+    }
+
+    // Returns { key, url }
+    async save(buffer, { folder, extension }) {
+        const key = `${folder}/${crypto.randomUUID()}.${extension}`;
+        const file = this.#resolve(key);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, buffer);
+        return { key, url: `${this.publicPath}/${key}` };
+    }
+
+    async remove(key) {
+        try {
+            await fs.unlink(this.#resolve(key));
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+        }
+    }
+}
@@ -0,0 +1,11 @@
+import MemoryStore from "./memoryStore.js";
+
+// Shared store for presence and transient room state. Starts as an in-memory store;
+// setupCluster() swaps in a RedisStore when the server runs with REDIS_URL.
+let store = new MemoryStore();
+
+export const getStore = () => store;
+
+export const setStore = (next) => {
+    store = next;
+};
@@ -0,0 +1,64 @@
+// In-process store for tests and single-node deployments. Same interface as RedisStore:
+//   get / set (optional ttlMs) / del for JSON values, and sadd / srem / smembers / scard for sets.
+export default class MemoryStore {
+    constructor({ now = () => Date.now() } = {}) {
+        this.now = now;
+        this.values = new Map();
+        this.sets = new Map();
+    }
+
+    // Expired entries are dropped lazily on access
+    #entry(key) {
+        const entry = this.values.get(key);
+        if (entry && entry.expiresAt !== null && entry.expiresAt <= this.now()) {
+            this.values.delete(key);
+            return undefined;
+        }
+        return entry;
+    }
+
+    async get(key) {
+        const entry = this.#entry(key);
+        return entry ? structuredClone(entry.value) : null;
+    }
+
+    async set(key, value, ttlMs = null) {
+        this.values.set(key, {
+            value: structuredClone(value),
+            expiresAt: ttlMs ? this.now() + ttlMs : null,
+        });
+    }
+
+    async del(key) {
+        this.values.delete(key);
+        this.sets.delete(key);
+    }
+
+    async sadd(key, member) {
+        if (!this.sets.has(key)) {
+            this.sets.set(key, new Set());
+        }
+        this.sets.get(key).add(member);
+    }
+
+    // Returns how many members are left
+    async srem(key, member) {
+        const set = this.sets.get(key);
+        if (!set) {
+            return 0;
+        }
+        set.delete(member);
+        if (set.size === 0) {
+            this.sets.delete(key);
+        }
+        return set.size;
+    }
+
+    async smembers(key) {
+        return [...(this.sets.get(key) || [])];
+    }
+
+    async scard(key) {
+        return this.sets.get(key)?.size || 0;
+    }
+}
@@ -0,0 +1,48 @@
+// Shared store backed by Redis, so every node sees the same presence and room state.
+// `client` is a connected node-redis v4 client.
+export default class RedisStore {
+    constructor(client, { prefix = "watch-party:" } = {}) {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    #key(key) {
+        return `${this.prefix}${key}`;
+    }
+
+    async get(key) {
+        const raw = await this.client.get(this.#key(key));
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(key, value, ttlMs = null) {
+        const options = ttlMs ? { PX: ttlMs } : undefined;
+        await this.client.set(this.#key(key), JSON.stringify(value), options);
+    }
+
+    async del(key) {
+        await this.client.del(this.#key(key));
+    }
+
+    async sadd(key, member) {
+        await this.client.sAdd(this.#key(key), member);
+    }
+
+    // Returns how many members are left; both steps run in one MULTI so they see the same set
+    async srem(key, member) {
+        const [, remaining] = await this.client
+            .multi()
+            .sRem(this.#key(key), member)
+            .sCard(this.#key(key))
+            .exec();
+        return Number(remaining);
+    }
+
+    async smembers(key) {
+        return this.client.sMembers(this.#key(key));
+    }
+
+    async scard(key) {
+        return Number(await this.client.sCard(this.#key(key)));
+    }
+}
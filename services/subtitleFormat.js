@@ -0,0 +1,184 @@
+// Reading SRT and WebVTT subtitle files and writing them back out as normalized WebVTT:
+//   WEBVTT, a blank line, then numbered cues with HH:MM:SS.mmm timings, sorted by start time.
+// Real-world files are often sloppy, so the reader tolerates: UTF-16 or Latin-1 text, byte order
+// marks, any line endings, missing or wrong cue numbers, "," or "." before the milliseconds,
+// timings without hours or with short milliseconds, junk lines before a timing line, blank lines
+// inside a cue's text, overlapping or out-of-order cues, and SSA override tags like {\an8}.
+// Cues it can't make sense of are dropped; a file without a single usable cue is rejected.
+
+// Raised for files that aren't subtitles at all; `code` is an ERROR_CODES entry
+export class SubtitleParseError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "SubtitleParseError";
+        this.code = "INVALID_SUBTITLES";
+    }
+}
+
+// [hours:]minutes:seconds[,.]millis, e.g. 01:02:03,456 or 2:03.5
+const TIMESTAMP = String.raw`(?:(\d{1,3}):)?(\d{1,2}):(\d{1,2})(?:[,.](\d{1,3}))?`;
+const TIMING_LINE = new RegExp(String.raw`^\s*${TIMESTAMP}\s*-+>\s*${TIMESTAMP}(.*)$`);
+
+// Cue settings WebVTT understands; anything else on a timing line (SRT coordinates...) is dropped
+const VTT_SETTINGS = [
+    /^vertical:(rl|lr)$/,
+    /^line:-?\d+(\.\d+)?%?(,(start|center|end))?$/,
+    /^position:\d+(\.\d+)?%(,(line-left|center|line-right))?$/,
+    /^size:\d+(\.\d+)?%$/,
+    /^align:(start|center|end|left|right)$/,
+];
+
+// Formatting tags kept in cue text; the rest are stripped
+const KEPT_TAGS = new Set(["b", "i", "u"]);
+
+// Decode the raw upload, picking the encoding from its byte order mark or, failing that,
+// falling back from UTF-8 to Latin-1 (the usual encoding of old SRT files)
+export const decodeSubtitleBuffer = (buffer) => {
+    if (buffer.length >= 2 && buffer[0] === 0xff && buffer[1] === 0xfe) {
+        return buffer.subarray(2).toString("utf16le");
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xfe && buffer[1] === 0xff) {
+        // Node has no UTF-16BE decoder: swap the bytes and read it as little-endian
+        const swapped = Buffer.from(buffer.subarray(2));
+        swapped.swap16();
+        return swapped.toString("utf16le");
+    }
+
+    const start = buffer[0] === 0xef && buffer[1] === 0xbb && buffer[2] === 0xbf ? 3 : 0;
+    try {
+        return new TextDecoder("utf-8", { fatal: true }).decode(buffer.subarray(start));
+    } catch {
+        return buffer.subarray(start).toString("latin1");
+    }
+};
+
+const toMillis = (hours, minutes, seconds, millis) => {
+    if (Number(minutes) > 59 || Number(seconds) > 59) {
+        return null;
+    }
+    // "5" after the separator means 500 ms, "05" means 50
+    const fraction = millis ? Number(millis.padEnd(3, "0")) : 0;
+    return ((Number(hours || 0) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 + fraction;
+};
+
+export const formatTimestamp = (ms) => {
+    const pad = (value, width = 2) => String(value).padStart(width, "0");
+    const hours = Math.floor(ms / 3600000);
+    const minutes = Math.floor((ms % 3600000) / 60000);
+    const seconds = Math.floor((ms % 60000) / 1000);
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}.${pad(ms % 1000, 3)}`;
+};
+
+const parseTimingLine = (line) => {
+    const match = TIMING_LINE.exec(line);
+    if (!match) {
+        return null;
+    }
+
+    const start = toMillis(match[1], match[2], match[3], match[4]);
+    const end = toMillis(match[5], match[6], match[7], match[8]);
+    if (start === null || end === null) {
+        return null;
+    }
+
+    const settings = match[9]
+        .trim()
+        .split(/\s+/)
+        .filter((setting) => VTT_SETTINGS.some((pattern) => pattern.test(setting)));
+    return { start, end, settings };
+};
+
+// Make a line of cue text safe for WebVTT: keep <b>, <i> and <u>, drop other tags and SSA
+// overrides, escape stray "<" and "&", and break up "-->" (which would end the cue)
+const cleanText = (line) =>
+    line
+        .replace(/\{\\[^}]*\}/g, "")
+        .replace(/<\/?([a-z]+)[^>]*>/gi, (tag, name) => {
+            const lower = name.toLowerCase();
+            return KEPT_TAGS.has(lower) ? (tag.startsWith("</") ? `</${lower}>` : `<${lower}>`) : "";
+        })
+        .replace(/&(?!(amp|lt|gt|nbsp|lrm|rlm);)/g, "&amp;")
+        .replace(/<(?!\/?[biu]>)/g, "&lt;")
+        .replace(/-->/g, "→")
+        .trim();
+
+// Blocks that carry no cues in WebVTT files
+const isVttMetadata = (block) => /^(WEBVTT|NOTE|STYLE|REGION)(\s|$)/.test(block[0]);
+
+// Parse SRT or WebVTT text into [{ start, end, settings, text }] (ms), sorted by start time
+export const parseSubtitles = (input) => {
+    const lines = input.replace(/^\uFEFF/, "").replace(/\r\n?/g, "\n").split("\n");
+    if (lines.some((line) => line.includes("\u0000"))) {
+        throw new SubtitleParseError("This doesn't look like a subtitle file");
+    }
+
+    // Split into blocks on blank lines
+    const blocks = [];
+    let block = [];
+    for (const line of lines) {
+        if (line.trim() === "") {
+            if (block.length > 0) {
+                blocks.push(block);
+                block = [];
+            }
+        } else {
+            block.push(line);
+        }
+    }
+    if (block.length > 0) {
+        blocks.push(block);
+    }
+
+    const cues = [];
+    for (const current of blocks) {
+        if (isVttMetadata(current)) {
+            continue;
+        }
+
+        // Whatever comes before the timing line (cue number, identifier, stray notes) is dropped
+        const timingIndex = current.findIndex((line) => parseTimingLine(line));
+        if (timingIndex === -1) {
+            // Text after a stray blank line belongs to the cue before it; a cue whose timing is out
+            // of range (00:99:00) is dropped rather than merged into it
+            const previous = cues[cues.length - 1];
+            const hasBadTiming = current.some((line) => TIMING_LINE.test(line));
+            if (previous && !hasBadTiming && !/^\d+$/.test(current[0].trim())) {
+                previous.lines.push(...current);
+            }
+            continue;
+        }
+
+        const timing = parseTimingLine(current[timingIndex]);
+        cues.push({ ...timing, lines: current.slice(timingIndex + 1) });
+    }
+
+    return cues
+        .map(({ lines: textLines, ...cue }) => ({
+            ...cue,
+            text: textLines.map(cleanText).filter(Boolean).join("\n"),
+        }))
+        .filter((cue) => cue.end > cue.start && cue.text)
+        .sort((a, b) => a.start - b.start || a.end - b.end);
+};
+
+export const toWebVTT = (cues) =>
+    [
+        "WEBVTT",
+        ...cues.map((cue, index) => {
+            const timing = `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}`;
+            const settings = cue.settings.length > 0 ? ` ${cue.settings.join(" ")}` : "";
+            return `${index + 1}\n${timing}${settings}\n${cue.text}`;
+        }),
+    ].join("\n\n") + "\n";
+
+// Read an uploaded SRT or WebVTT file. Returns { format, vtt, cueCount };
+// throws SubtitleParseError when there are no usable cues.
+export const convertSubtitles = (buffer) => {
+    const text = decodeSubtitleBuffer(buffer);
+    const format = /^\uFEFF?WEBVTT/.test(text) ? "vtt" : "srt";
+    const cues = parseSubtitles(text);
+    if (cues.length === 0) {
+        throw new SubtitleParseError("No subtitle cues found: upload an SRT or WebVTT file");
+    }
+    return { format, vtt: toWebVTT(cues), cueCount: cues.length };
+};
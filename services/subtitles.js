@@ -0,0 +1,159 @@
+import Room from "../models/Room.js";
+import SubtitleTrack from "../models/SubtitleTrack.js";
+import { convertSubtitles, SubtitleParseError } from "./subtitleFormat.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+
+// Subtitle tracks shared in a room. Whoever controls playback uploads SRT or WebVTT files for the
+// current video (stored as normalized WebVTT) and picks the track everyone sees; the active
+// track follows the playback clock on each client like the video does. Loading another video
+// turns subtitles off (setPlaybackState clears activeSubtitleId), so clients should drop theirs
+// on load-video and list the new video's tracks with GET /api/room/:roomId/subtitles.
+
+const DEFAULT_MAX_SUBTITLE_BYTES = 512 * 1024;
+export const MAX_TRACKS_PER_VIDEO = 10;
+export const MAX_LABEL_LENGTH = 60;
+
+export const maxSubtitleBytes = () => Number(process.env.SUBTITLE_MAX_BYTES) || DEFAULT_MAX_SUBTITLE_BYTES;
+
+// Schema rules (see utils/validation.js) for the text fields sent with an upload
+export const subtitleRules = {
+    label: { type: "string", minLength: 1, maxLength: MAX_LABEL_LENGTH },
+    language: { type: "string", maxLength: 35 },
+};
+
+// BCP 47 in its common shapes: "en", "pt-BR", "zh-Hant-TW"
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/i;
+
+// A track as clients see it; the WebVTT text itself only for the active track
+export const serializeTrack = (track, { includeVtt = false } = {}) => ({
+    id: track._id.toString(),
+    label: track.label,
+    language: track.language,
+    sourceFormat: track.sourceFormat,
+    cueCount: track.cueCount,
+    serviceId: track.serviceId,
+    mediaId: track.mediaId,
+    uploadedBy: { id: track.uploadedBy.toString(), username: track.uploadedByName },
+    createdAt: track.createdAt,
+    ...(includeVtt && { vtt: track.vtt }),
+});
+
+// Tracks of the room's current video, oldest first, without their text
+export const listVideoTracks = async (room) => {
+    if (!room.mediaId) {
+        return [];
+    }
+    return SubtitleTrack.find({ room: room._id, serviceId: room.serviceId, mediaId: room.mediaId })
+        .select("-vtt")
+        .sort({ createdAt: 1 })
+        .lean();
+};
+
+// The subtitles part of join snapshots: the current video's tracks and the active one with its text
+export const buildSubtitlesSnapshot = async (room) => {
+    const tracks = await listVideoTracks(room);
+    const active = room.activeSubtitleId
+        ? await SubtitleTrack.findOne({ _id: room.activeSubtitleId, room: room._id }).lean()
+        : null;
+
+    return {
+        tracks: tracks.map((track) => serializeTrack(track)),
+        activeTrackId: active ? active._id.toString() : null,
+        activeTrack: active ? serializeTrack(active, { includeVtt: true }) : null,
+    };
+};
+
+const announceTracks = async (io, room) => {
+    const tracks = (await listVideoTracks(room)).map((track) => serializeTrack(track));
+    io.to(room._id.toString()).emit("subtitles-updated", { roomId: room._id.toString(), tracks });
+    return tracks;
+};
+
+// Make trackId (one of the current video's tracks, or null for none) the room's active track and
+// tell everyone, with the track's text. Returns the subtitle-track-changed payload.
+export const setActiveTrack = async (io, room, trackId) => {
+    const roomId = room._id.toString();
+    let track = null;
+    if (trackId) {
+        track = await SubtitleTrack.findOne({
+            _id: trackId,
+            room: room._id,
+            serviceId: room.serviceId,
+            mediaId: room.mediaId,
+        }).lean();
+        if (!track) {
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `Subtitle track ${trackId} not found for this video`);
+        }
+    }
+
+    await Room.updateOne({ _id: roomId }, { $set: { activeSubtitleId: track ? track._id : null } });
+
+    const change = { roomId, track: track ? serializeTrack(track, { includeVtt: true }) : null };
+    io.to(roomId).emit("subtitle-track-changed", change);
+    console.log(`💬 Subtitles in room ${roomId} set to ${track ? track.label : "off"}`);
+    return change;
+};
+
+// Convert an uploaded file and attach it to the room's current video. `user` is the uploader's
+// room entry; `fields` were checked against subtitleRules. Returns the new lean track.
+export const addSubtitleTrack = async (io, room, user, buffer, fields, originalName = "") => {
+    if (!room.videoUrl || !room.mediaId) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "Load a video before adding subtitles");
+    }
+
+    const language = (fields.language || "").trim();
+    if (language && !LANGUAGE_TAG.test(language)) {
+        throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Invalid language: must be a tag such as en or pt-BR");
+    }
+
+    const video = { room: room._id, serviceId: room.serviceId, mediaId: room.mediaId };
+    if ((await SubtitleTrack.countDocuments(video)) >= MAX_TRACKS_PER_VIDEO) {
+        throw new RequestError(ERROR_CODES.CONFLICT, `This video already has ${MAX_TRACKS_PER_VIDEO} subtitle tracks`);
+    }
+
+    let converted;
+    try {
+        converted = convertSubtitles(buffer);
+    } catch (error) {
+        if (error instanceof SubtitleParseError) {
+            throw new RequestError(error.code, error.message);
+        }
+        throw error;
+    }
+
+    // Without a label, name the track after the file
+    const label = fields.label?.trim() || originalName.replace(/\.(srt|vtt)$/i, "").slice(0, MAX_LABEL_LENGTH);
+    const created = await SubtitleTrack.create({
+        ...video,
+        label: label || language || "Subtitles",
+        language,
+        sourceFormat: converted.format,
+        vtt: converted.vtt,
+        cueCount: converted.cueCount,
+        uploadedBy: user.id,
+        uploadedByName: user.username,
+    });
+
+    console.log(`💬 Subtitle track ${created._id} (${converted.cueCount} cues) added to room ${room._id}`);
+    await announceTracks(io, room);
+    return created.toObject();
+};
+
+// Delete one of the room's tracks, turning subtitles off first if it was the active one
+export const removeSubtitleTrack = async (io, room, trackId) => {
+    const track = await SubtitleTrack.findOneAndDelete({ _id: trackId, room: room._id }).lean();
+    if (!track) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Subtitle track ${trackId} not found`);
+    }
+
+    const cleared = await Room.updateOne(
+        { _id: room._id, activeSubtitleId: track._id },
+        { $set: { activeSubtitleId: null } }
+    );
+    if (cleared.modifiedCount > 0) {
+        io.to(room._id.toString()).emit("subtitle-track-changed", { roomId: room._id.toString(), track: null });
+    }
+
+    await announceTracks(io, room);
+    return track;
+};
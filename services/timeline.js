@@ -0,0 +1,46 @@
+export const MAX_COMMENT_LENGTH = 280;
+export const DEFAULT_BUCKET_SECONDS = 10;
+export const MIN_BUCKET_SECONDS = 1;
+export const MAX_BUCKET_SECONDS = 600;
+
+export const serializeTimelineReaction = (reaction) => ({
+    id: reaction._id.toString(),
+    roomId: reaction.room.toString(),
+    serviceId: reaction.serviceId,
+    mediaId: reaction.mediaId,
+    position: reaction.position,
+    kind: reaction.kind,
+    emoji: reaction.emoji,
+    text: reaction.text,
+    userId: reaction.userId.toString(),
+    username: reaction.username,
+    timestamp: reaction.timestamp,
+});
+
+// Group reactions into fixed-width time buckets for a scrubber heatmap.
+// Only non-empty buckets are returned, in order; each keeps its reactions for replay.
+export const bucketReactions = (reactions, bucketSize = DEFAULT_BUCKET_SECONDS) => {
+    const buckets = new Map();
+
+    for (const reaction of reactions) {
+        const index = Math.floor(reaction.position / bucketSize);
+        if (!buckets.has(index)) {
+            buckets.set(index, {
+                start: index * bucketSize,
+                end: (index + 1) * bucketSize,
+                count: 0,
+                emojis: {},
+                reactions: [],
+            });
+        }
+
+        const bucket = buckets.get(index);
+        bucket.count += 1;
+        if (reaction.kind === "emoji") {
+            bucket.emojis[reaction.emoji] = (bucket.emojis[reaction.emoji] || 0) + 1;
+        }
+        bucket.reactions.push(serializeTimelineReaction(reaction));
+    }
+
+    return [...buckets.entries()].sort(([a], [b]) => a - b).map(([, bucket]) => bucket);
+};
@@ -0,0 +1,102 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import RefreshToken from "../models/RefreshToken.js";
+
+// Short-lived JWT access tokens (verified by middleware/auth.js) paired with opaque refresh
+// tokens that are rotated on every use.
+
+const DEFAULT_REFRESH_TTL_DAYS = 30;
+
+// Raised when a refresh token is unknown, expired, revoked or reused
+export class RefreshTokenError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "RefreshTokenError";
+        this.code = "INVALID_REFRESH_TOKEN";
+    }
+}
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+const refreshTtlMs = () => {
+    const days = Number(process.env.REFRESH_TOKEN_TTL_DAYS);
+    return (Number.isFinite(days) && days > 0 ? days : DEFAULT_REFRESH_TTL_DAYS) * 24 * 60 * 60 * 1000;
+};
+
+export const issueAccessToken = (userId) =>
+    jwt.sign({ id: userId.toString() }, process.env.JWT_SECRET, {
+        expiresIn: process.env.ACCESS_TOKEN_TTL || "1h",
+    });
+
+const createRefreshToken = async (userId, family) => {
+    const token = crypto.randomBytes(48).toString("base64url");
+    await RefreshToken.create({
+        user: userId,
+        tokenHash: hashToken(token),
+        family,
+        expiresAt: new Date(Date.now() + refreshTtlMs()),
+    });
+    return token;
+};
+
+// Start a new session (sign-in, sign-up): an access token and the first refresh token of a family
+export const issueTokenPair = async (userId) => ({
+    token: issueAccessToken(userId),
+    refreshToken: await createRefreshToken(userId, crypto.randomUUID()),
+});
+
+// Trade a refresh token for a new pair. The old token stops working; if it was already
+// replaced before, someone is replaying it, so every token of the session is revoked.
+// Returns { userId, token, refreshToken }.
+export const rotateRefreshToken = async (refreshToken) => {
+    if (typeof refreshToken !== "string" || !refreshToken) {
+        throw new RefreshTokenError("Refresh token is required");
+    }
+
+    const stored = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) }).lean();
+    if (!stored || stored.expiresAt <= new Date()) {
+        throw new RefreshTokenError("Refresh token is invalid or has expired");
+    }
+
+    if (stored.revokedAt) {
+        if (stored.replacedBy) {
+            console.log(`🚨 Reused refresh token for user ${stored.user}, revoking session ${stored.family}`);
+            await RefreshToken.updateMany({ family: stored.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+        }
+        throw new RefreshTokenError("Refresh token has been revoked");
+    }
+
+    const next = await createRefreshToken(stored.user, stored.family);
+    // Guarded on revokedAt so two concurrent refreshes can't both succeed
+    const result = await RefreshToken.updateOne(
+        { _id: stored._id, revokedAt: null },
+        { $set: { revokedAt: new Date(), replacedBy: hashToken(next) } }
+    );
+    if (result.modifiedCount === 0) {
+        await RefreshToken.deleteOne({ tokenHash: hashToken(next) });
+        throw new RefreshTokenError("Refresh token has been revoked");
+    }
+
+    return {
+        userId: stored.user.toString(),
+        token: issueAccessToken(stored.user),
+        refreshToken: next,
+    };
+};
+
+// Revoke one refresh token of the user; returns whether it was active
+export const revokeRefreshToken = async (userId, refreshToken) => {
+    if (typeof refreshToken !== "string" || !refreshToken) {
+        return false;
+    }
+
+    const result = await RefreshToken.updateOne(
+        { user: userId, tokenHash: hashToken(refreshToken), revokedAt: null },
+        { $set: { revokedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+};
+
+// Sign the user out everywhere
+export const revokeAllRefreshTokens = (userId) =>
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
@@ -0,0 +1,124 @@
+import User from "../models/User.js";
+import Room from "../models/Room.js";
+import Message from "../models/Message.js";
+import ScheduledParty from "../models/ScheduledParty.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { invalid } from "../utils/validation.js";
+
+export const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MAX_EMAIL_LENGTH = 254;
+// bcrypt ignores anything past 72 bytes
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 72;
+
+// Usernames and emails are unique regardless of case (older accounts may have mixed-case emails)
+export const CASE_INSENSITIVE = { locale: "en", strength: 2 };
+
+// What clients may see of a user (never the password hash)
+export const serializeUser = (user) => ({
+    _id: user._id.toString(),
+    username: user.username,
+    email: user.email,
+    profilePic: user.profilePic || null,
+    createdAt: user.createdAt || null,
+});
+
+export const normalizeEmail = (email) => (typeof email === "string" ? email.trim().toLowerCase() : "");
+
+export const validateUsername = (username) => {
+    if (typeof username !== "string" || !USERNAME_PATTERN.test(username.trim())) {
+        throw invalid("Invalid username: must be 3 to 30 letters, digits, '.', '_' or '-'");
+    }
+    return username.trim();
+};
+
+export const validateEmail = (email) => {
+    const normalized = normalizeEmail(email);
+    if (normalized.length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(normalized)) {
+        throw invalid("Invalid email address");
+    }
+    return normalized;
+};
+
+export const validatePassword = (password, field = "password") => {
+    if (
+        typeof password !== "string" ||
+        password.length < MIN_PASSWORD_LENGTH ||
+        password.length > MAX_PASSWORD_LENGTH
+    ) {
+        throw invalid(`Invalid ${field}: must be ${MIN_PASSWORD_LENGTH} to ${MAX_PASSWORD_LENGTH} characters`);
+    }
+    return password;
+};
+
+// Throw CONFLICT if another account already uses the username or email
+export const assertAvailable = async ({ username, email }, exceptUserId = null) => {
+    const others = exceptUserId ? { _id: { $ne: exceptUserId } } : {};
+
+    if (username && (await User.exists({ ...others, username }).collation(CASE_INSENSITIVE))) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "Username is already taken");
+    }
+
+    if (email && (await User.exists({ ...others, email }).collation(CASE_INSENSITIVE))) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "An account with this email already exists");
+    }
+};
+
+// A unique index violation from a concurrent signup or edit becomes a CONFLICT too
+export const toConflictError = (error) => {
+    if (error?.code !== 11000) {
+        return error;
+    }
+    const field = Object.keys(error.keyPattern || {})[0] || "value";
+    return new RequestError(ERROR_CODES.CONFLICT, `This ${field} is already in use`);
+};
+
+// Copy profile changes ({ username, email, profilePic }) into every denormalized copy:
+// room participants, host name, pending join requests, scheduled parties and the sender embedded in messages
+export const propagateProfile = async (userId, changes) => {
+    const userFields = {};
+    for (const field of ["username", "email", "profilePic"]) {
+        if (field in changes) {
+            userFields[`users.$[u].${field}`] = changes[field];
+        }
+    }
+
+    if (Object.keys(userFields).length > 0) {
+        await Room.updateMany({ "users.id": userId }, { $set: userFields }, { arrayFilters: [{ "u.id": userId }] });
+    }
+
+    if ("username" in changes) {
+        await Room.updateMany({ admin: userId }, { $set: { adminName: changes.username } });
+        await Room.updateMany(
+            { "pendingJoins.id": userId },
+            { $set: { "pendingJoins.$[p].username": changes.username } },
+            { arrayFilters: [{ "p.id": userId }] }
+        );
+        await ScheduledParty.updateMany({ host: userId }, { $set: { hostName: changes.username } });
+        await ScheduledParty.updateMany(
+            { "invitees.id": userId },
+            { $set: { "invitees.$[i].username": changes.username } },
+            { arrayFilters: [{ "i.id": userId }] }
+        );
+    }
+
+    if ("profilePic" in changes) {
+        await Room.updateMany(
+            { "pendingJoins.id": userId },
+            { $set: { "pendingJoins.$[p].profilePic": changes.profilePic } },
+            { arrayFilters: [{ "p.id": userId }] }
+        );
+    }
+
+    const senderFields = {};
+    for (const field of ["username", "profilePic"]) {
+        if (field in changes) {
+            senderFields[`sender.${field}`] = changes[field];
+        }
+    }
+
+    if (Object.keys(senderFields).length > 0) {
+        await Message.updateMany({ senderId: userId }, { $set: senderFields });
+    }
+};
@@ -0,0 +1,210 @@
+import { getStore } from "./store/index.js";
+import { getSignaling } from "./signaling/index.js";
+import { isMuted } from "./moderation.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+
+// Who is in each room's voice chat, across every node. Membership is per socket (a user can talk
+// from one device and only watch on another): a set of socket ids per room, plus one record per
+// socket with its mic and speaking state. The Socket.IO room `${roomId}-voice` mirrors the set.
+
+export const voiceChannel = (roomId) => `${roomId}-voice`;
+
+const rosterKey = (roomId) => `voice:room:${roomId}`;
+const peerKey = (socketId) => `voice:peer:${socketId}`;
+
+// A voice record as clients see it. A moderator's voice mute keeps the mic off whatever it says.
+export const serializePeer = (peer, room = null) => {
+    const serverMuted = Boolean(room && isMuted(room, peer.userId, "voice"));
+    return {
+        socketId: peer.socketId,
+        userId: peer.userId,
+        username: peer.username,
+        micEnabled: peer.micEnabled && !serverMuted,
+        speaking: peer.speaking && !serverMuted,
+        serverMuted,
+        joinedAt: peer.joinedAt,
+    };
+};
+
+const loadPeers = async (roomId) => {
+    const store = getStore();
+    const peers = [];
+    for (const socketId of await store.smembers(rosterKey(roomId))) {
+        const peer = await store.get(peerKey(socketId));
+        if (peer?.roomId === roomId) {
+            peers.push(peer);
+        }
+    }
+    return peers.sort((a, b) => a.joinedAt - b.joinedAt);
+};
+
+const forgetPeer = async (roomId, socketId) => {
+    const store = getStore();
+    await store.srem(rosterKey(roomId), socketId);
+    await store.del(peerKey(socketId));
+};
+
+// Records can outlive a crashed node, so drop the ones whose socket isn't in the voice channel
+const pruneRoster = async (io, roomId) => {
+    const peers = await loadPeers(roomId);
+    let live;
+    try {
+        live = new Set((await io.in(voiceChannel(roomId)).fetchSockets()).map((s) => s.id));
+    } catch (error) {
+        console.error(`Error confirming voice roster of room ${roomId}:`, error.message);
+        return peers;
+    }
+
+    for (const peer of peers) {
+        if (!live.has(peer.socketId)) {
+            await forgetPeer(roomId, peer.socketId);
+        }
+    }
+    return peers.filter((peer) => live.has(peer.socketId));
+};
+
+// The roster sent to voice joiners and in room snapshots. `room` (lean) marks muted peers.
+export const getVoiceRoster = async (roomId, room = null) => {
+    const signaling = getSignaling();
+    return {
+        roomId,
+        topology: signaling.topology,
+        maxPeers: signaling.maxPeers,
+        peers: (await loadPeers(roomId)).map((peer) => serializePeer(peer, room)),
+    };
+};
+
+// The caller's voice record in the room, or NOT_IN_ROOM
+const requirePeer = async (socketId, roomId) => {
+    const peer = await getStore().get(peerKey(socketId));
+    if (!peer || peer.roomId !== roomId) {
+        throw new RequestError(ERROR_CODES.NOT_IN_ROOM, "You are not in this room's voice chat");
+    }
+    return peer;
+};
+
+const savePeer = (peer) => getStore().set(peerKey(peer.socketId), peer);
+
+// Leave the socket's voice chat in roomId, telling the others. Returns whether it was in it.
+// Also used on disconnect, when the socket has already left its Socket.IO rooms.
+export const leaveVoice = async (io, socket, roomId) => {
+    const peer = await getStore().get(peerKey(socket.id));
+    socket.leave(voiceChannel(roomId));
+    if (socket.data.voiceRoomId === roomId) {
+        socket.data.voiceRoomId = null;
+    }
+    if (!peer || peer.roomId !== roomId) {
+        return false;
+    }
+
+    await forgetPeer(roomId, socket.id);
+    await getSignaling().peerLeft(io, peer);
+    io.to(voiceChannel(roomId)).emit("user-left-voice", { roomId, userId: peer.userId, socketId: socket.id });
+    console.log(`User ${peer.userId} left voice chat in room ${roomId}`);
+    return true;
+};
+
+// Put the socket into the room's voice chat (leaving any other one) and return the roster.
+// Throws CONFLICT when the channel already holds as many peers as the signaling allows.
+export const joinVoice = async (io, socket, roomId, room) => {
+    const previous = await getStore().get(peerKey(socket.id));
+    if (previous?.roomId === roomId) {
+        return getVoiceRoster(roomId, room);
+    }
+    if (previous) {
+        await leaveVoice(io, socket, previous.roomId);
+    }
+
+    const signaling = getSignaling();
+    const peers = await pruneRoster(io, roomId);
+    if (peers.length >= signaling.maxPeers) {
+        throw new RequestError(ERROR_CODES.CONFLICT, `Voice chat is full (max ${signaling.maxPeers})`);
+    }
+
+    const peer = {
+        socketId: socket.id,
+        userId: socket.data.userId,
+        username: socket.data.user?.username || "",
+        roomId,
+        micEnabled: false,
+        speaking: false,
+        joinedAt: Date.now(),
+    };
+    await savePeer(peer);
+    await getStore().sadd(rosterKey(roomId), socket.id);
+    socket.join(voiceChannel(roomId));
+    socket.data.voiceRoomId = roomId;
+    await signaling.peerJoined(io, peer);
+
+    socket.to(voiceChannel(roomId)).emit("user-joined-voice", {
+        roomId,
+        userId: peer.userId,
+        peer: serializePeer(peer, room),
+    });
+    console.log(`User ${peer.userId} joined voice chat in room ${roomId}`);
+    return getVoiceRoster(roomId, room);
+};
+
+// Drop every voice record of a user from a room (kicks and bans); their sockets are taken out
+// of the channel by the caller
+export const removeUserFromVoice = async (io, roomId, userId) => {
+    for (const peer of await loadPeers(roomId)) {
+        if (peer.userId === userId) {
+            await forgetPeer(roomId, peer.socketId);
+            await getSignaling().peerLeft(io, peer);
+            io.to(voiceChannel(roomId)).emit("user-left-voice", { roomId, userId, socketId: peer.socketId });
+        }
+    }
+};
+
+export const setMicEnabled = async (io, socket, roomId, micEnabled) => {
+    const peer = await requirePeer(socket.id, roomId);
+    await savePeer({ ...peer, micEnabled, speaking: micEnabled && peer.speaking });
+
+    const event = micEnabled ? "mic-enabled" : "mic-disabled";
+    io.to(voiceChannel(roomId)).emit(event, { roomId, userId: peer.userId, socketId: socket.id });
+    return { micEnabled };
+};
+
+// Speaking indicators come from the client's voice activity detection; only an open mic speaks
+export const setSpeaking = async (socket, roomId, speaking) => {
+    const peer = await requirePeer(socket.id, roomId);
+    if (speaking && !peer.micEnabled) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "Enable your mic first");
+    }
+    if (peer.speaking !== speaking) {
+        await savePeer({ ...peer, speaking });
+        socket.to(voiceChannel(roomId)).emit("voice-speaking", {
+            roomId,
+            userId: peer.userId,
+            socketId: socket.id,
+            speaking,
+        });
+    }
+    return { speaking };
+};
+
+// Turn off every mic of a user who was just voice-muted by a moderator
+export const forceMicOff = async (io, roomId, userId) => {
+    for (const peer of await loadPeers(roomId)) {
+        if (peer.userId === userId && (peer.micEnabled || peer.speaking)) {
+            await savePeer({ ...peer, micEnabled: false, speaking: false });
+            io.to(voiceChannel(roomId)).emit("mic-disabled", { roomId, userId, socketId: peer.socketId, forced: true });
+        }
+    }
+};
+
+// Pass an offer, answer or ICE candidate on through the signaling driver. The sender must be in
+// the room's voice chat and so must the target socket `to` (null addresses the server, e.g. an SFU).
+export const relaySignal = async (io, socket, { roomId, to = null, kind, payload }) => {
+    const from = await requirePeer(socket.id, roomId);
+    let target = null;
+    if (to) {
+        target = await getStore().get(peerKey(to));
+        if (!target || target.roomId !== roomId) {
+            throw new RequestError(ERROR_CODES.NOT_IN_ROOM, `Peer ${to} is not in this room's voice chat`);
+        }
+    }
+
+    await getSignaling().relay(io, { roomId, from, to: target, kind, payload });
+};
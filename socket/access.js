@@ -0,0 +1,135 @@
+import Room from "../models/Room.js";
+import User from "../models/User.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { can } from "../services/permissions.js";
+import { joinRoom } from "../services/presence.js";
+import { addParticipant, announceParticipants, buildRoomSnapshot, updateRoomSettings } from "../services/rooms.js";
+import {
+    accessRules,
+    buildAccessUpdate,
+    createInviteCode,
+    serializeAccess,
+    serializePendingJoins,
+} from "../services/roomAccess.js";
+import { listingRules, serializeListing } from "../services/directory.js";
+import { onEvent, requiredId } from "./protocol.js";
+
+// Helper function to load a room the caller may manage (password, cap, lock, join approvals)
+const findManagedRoom = async (roomId, userId) => {
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    if (!can(room, userId, "manage-room")) {
+        throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the host can manage room access");
+    }
+
+    return room;
+};
+
+// Send the access settings to the room; also returned so handlers can ack them
+const broadcastAccess = async (io, roomId) => {
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        return null;
+    }
+
+    const settings = { roomId, access: serializeAccess(room) };
+    io.to(roomId).emit("room-settings-updated", settings);
+    return settings;
+};
+
+const sendPendingJoins = (target, roomId, room) => {
+    const requests = { roomId, pending: serializePendingJoins(room) };
+    target.emit("join-requests-updated", requests);
+    return requests;
+};
+
+export const registerAccessHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    onEvent(socket, "get-join-requests", { roomId: requiredId }, async ({ roomId }) => {
+        const room = await findManagedRoom(roomId, userId);
+        return { roomId, pending: serializePendingJoins(room) };
+    });
+
+    onEvent(socket, "approve-join", { roomId: requiredId, targetUserId: requiredId }, async ({ roomId, targetUserId }) => {
+        const room = await findManagedRoom(roomId, userId);
+        if (!room.pendingJoins.some((r) => r.id.toString() === targetUserId)) {
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `No pending join request from user ${targetUserId}`);
+        }
+
+        if (room.settings?.maxParticipants && room.users.length >= room.settings.maxParticipants) {
+            throw new RequestError(ERROR_CODES.ROOM_FULL, "Room is full");
+        }
+
+        const user = await User.findById(targetUserId).lean();
+        if (!user) {
+            await Room.updateOne({ _id: roomId }, { $pull: { pendingJoins: { id: targetUserId } } });
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `User ${targetUserId} not found`);
+        }
+
+        // Bring every socket of the approved user into the room and hand them the snapshot
+        const userChannel = `user:${targetUserId}`;
+        for (const userSocket of await io.in(userChannel).fetchSockets()) {
+            await joinRoom(userSocket, roomId);
+        }
+        const updatedRoom = await addParticipant(roomId, user);
+
+        io.to(userChannel).emit("room-joined", await buildRoomSnapshot(updatedRoom));
+        console.log(`✅ User ${targetUserId} admitted to room ${roomId} by ${userId}`);
+
+        await announceParticipants(io, roomId, updatedRoom);
+        return sendPendingJoins(socket, roomId, updatedRoom);
+    });
+
+    onEvent(socket, "deny-join", { roomId: requiredId, targetUserId: requiredId }, async ({ roomId, targetUserId }) => {
+        await findManagedRoom(roomId, userId);
+
+        const updatedRoom = await Room.findByIdAndUpdate(
+            roomId,
+            { $pull: { pendingJoins: { id: targetUserId } } },
+            { new: true }
+        ).lean();
+
+        io.to(`user:${targetUserId}`).emit("join-denied", {
+            roomId,
+            code: ERROR_CODES.JOIN_REJECTED,
+            message: "The host declined your request to join",
+        });
+        console.log(`⛔ User ${targetUserId} denied entry to room ${roomId}`);
+
+        return sendPendingJoins(socket, roomId, updatedRoom);
+    });
+
+    // Change any of password, maxParticipants, joinMode and locked
+    onEvent(socket, "update-room-access", { roomId: requiredId, ...accessRules }, async ({ roomId, ...settings }) => {
+        await findManagedRoom(roomId, userId);
+        const room = await updateRoomSettings(io, roomId, settings);
+        return { roomId, access: serializeAccess(room) };
+    });
+
+    onEvent(socket, "lock-room", { roomId: requiredId, locked: { type: "boolean" } }, async ({ roomId, locked = true }) => {
+        await findManagedRoom(roomId, userId);
+        const update = await buildAccessUpdate({ locked });
+
+        await Room.updateOne({ _id: roomId }, { $set: update });
+        console.log(`${locked ? "🔒" : "🔓"} Room ${roomId} ${locked ? "locked" : "unlocked"}`);
+        return broadcastAccess(io, roomId);
+    });
+
+    // Change any of title, description, tags and visibility (public rooms show up in the directory)
+    onEvent(socket, "update-room-listing", { roomId: requiredId, ...listingRules }, async ({ roomId, ...fields }) => {
+        await findManagedRoom(roomId, userId);
+        const room = await updateRoomSettings(io, roomId, fields);
+        return { roomId, listing: serializeListing(room) };
+    });
+
+    // Invalidate a leaked invite code
+    onEvent(socket, "regenerate-invite-code", { roomId: requiredId }, async ({ roomId }) => {
+        await findManagedRoom(roomId, userId);
+        await Room.updateOne({ _id: roomId }, { $set: { inviteCode: await createInviteCode() } });
+        return broadcastAccess(io, roomId);
+    });
+};
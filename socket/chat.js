@@ -0,0 +1,259 @@
+import mongoose from "mongoose";
+import Message from "../models/Message.js";
+import User from "../models/User.js";
+import TimelineReaction from "../models/TimelineReaction.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { validatePayload } from "../utils/validation.js";
+import { can } from "../services/permissions.js";
+import { isMuted } from "../services/moderation.js";
+import {
+    MAX_DISTINCT_REACTIONS,
+    groupReactions,
+    isValidEmoji,
+    messageTextRule,
+    serializeMessage,
+} from "../services/messages.js";
+import { currentPosition, getPlaybackState } from "../services/playback.js";
+import { MAX_COMMENT_LENGTH, serializeTimelineReaction } from "../services/timeline.js";
+import { recordMessage } from "../services/history.js";
+import { findMemberRoom, onEvent, optionalId, requiredId } from "./protocol.js";
+
+// A typing-start is forwarded at most this often per user and room...
+const TYPING_THROTTLE_MS = 2000;
+// ...and typing is considered stopped if nothing is heard for this long
+const TYPING_TIMEOUT_MS = 6000;
+
+// Same as findMemberRoom, but also fails for users muted in chat
+const findChattableRoom = async (roomId, userId) => {
+    const room = await findMemberRoom(roomId, userId);
+    if (isMuted(room, userId, "chat")) {
+        throw new RequestError(ERROR_CODES.MUTED, "You are muted in this room");
+    }
+    return room;
+};
+
+// Helper function to load a live (not deleted) message of the room
+const findRoomMessage = async (roomId, messageId) => {
+    const message = await Message.findOne({ _id: messageId, room: roomId, deletedAt: null }).lean();
+    if (!message) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Message ${messageId} not found`);
+    }
+
+    return message;
+};
+
+export const registerChatHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    // roomId -> { lastSentAt, timer } for this socket's typing indicator
+    const typingState = new Map();
+
+    const stopTyping = (roomId) => {
+        const state = typingState.get(roomId);
+        if (!state) {
+            return;
+        }
+        clearTimeout(state.timer);
+        typingState.delete(roomId);
+        socket.to(roomId).emit("user-typing", { roomId, userId, typing: false });
+    };
+
+    const emojiRule = { type: "string" };
+
+    onEvent(
+        socket,
+        "send-message",
+        { roomId: requiredId, msg: { type: "object", required: true } },
+        async ({ roomId, msg }) => {
+            const { text, replyTo } = validatePayload({ text: messageTextRule, replyTo: optionalId }, msg);
+
+            await findChattableRoom(roomId, userId);
+            if (replyTo) {
+                await findRoomMessage(roomId, replyTo);
+            }
+
+            // Never embed the password hash in the stored sender copy
+            const user = await User.findById(userId).select("-password").lean();
+            if (!user) {
+                throw new RequestError(ERROR_CODES.NOT_FOUND, `User ${userId} not found`);
+            }
+
+            const newMessage = new Message({
+                room: roomId,
+                senderId: userId,
+                text,
+                sender: user,
+                replyTo: replyTo || null,
+            });
+            await newMessage.save();
+            await recordMessage(roomId);
+            console.log(`💬 Message ${newMessage._id} sent in room ${roomId} by ${userId}`);
+
+            stopTyping(roomId);
+            const message = serializeMessage(newMessage);
+            io.to(roomId).emit("receive-message", message);
+            return message;
+        }
+    );
+
+    // Authors can edit their own messages
+    onEvent(
+        socket,
+        "edit-message",
+        { roomId: requiredId, messageId: requiredId, text: messageTextRule },
+        async ({ roomId, messageId, text }) => {
+            await findChattableRoom(roomId, userId);
+
+            const message = await findRoomMessage(roomId, messageId);
+            if (message.senderId.toString() !== userId) {
+                throw new RequestError(ERROR_CODES.FORBIDDEN, "You can only edit your own messages");
+            }
+
+            const editedAt = new Date();
+            await Message.updateOne({ _id: messageId }, { $set: { text, editedAt } });
+
+            const edit = { roomId, messageId, text, editedAt };
+            io.to(roomId).emit("message-edited", edit);
+            return edit;
+        }
+    );
+
+    // Authors can delete their own messages; chat moderators can delete anyone's
+    onEvent(socket, "delete-message", { roomId: requiredId, messageId: requiredId }, async ({ roomId, messageId }) => {
+        const room = await findMemberRoom(roomId, userId);
+        const message = await findRoomMessage(roomId, messageId);
+
+        if (message.senderId.toString() !== userId && !can(room, userId, "moderate-chat")) {
+            throw new RequestError(ERROR_CODES.FORBIDDEN, "You can only delete your own messages");
+        }
+
+        await Message.updateOne({ _id: messageId }, { $set: { deletedAt: new Date(), deletedBy: userId } });
+
+        console.log(`🗑️ Message ${messageId} deleted in room ${roomId} by ${userId}`);
+        const deletion = { roomId, messageId, deletedBy: userId };
+        io.to(roomId).emit("message-deleted", deletion);
+        return deletion;
+    });
+
+    // Add the caller's reaction, or remove it if it's already there
+    onEvent(
+        socket,
+        "toggle-reaction",
+        { roomId: requiredId, messageId: requiredId, emoji: { ...emojiRule, required: true } },
+        async ({ roomId, messageId, emoji }) => {
+            if (!isValidEmoji(emoji)) {
+                throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Invalid emoji");
+            }
+
+            await findChattableRoom(roomId, userId);
+
+            const message = await findRoomMessage(roomId, messageId);
+            // Explicit ObjectId so the $elemMatch/$pull match exactly what's stored
+            const reaction = { emoji, userId: new mongoose.Types.ObjectId(userId) };
+
+            const removed = await Message.updateOne({ _id: messageId }, { $pull: { reactions: reaction } });
+            if (removed.modifiedCount === 0) {
+                const emojis = new Set(message.reactions.map((r) => r.emoji));
+                if (!emojis.has(emoji) && emojis.size >= MAX_DISTINCT_REACTIONS) {
+                    throw new RequestError(
+                        ERROR_CODES.CONFLICT,
+                        `A message can have at most ${MAX_DISTINCT_REACTIONS} different reactions`
+                    );
+                }
+
+                // Guarded so a double-click can't add the same reaction twice
+                await Message.updateOne(
+                    { _id: messageId, reactions: { $not: { $elemMatch: reaction } } },
+                    { $push: { reactions: reaction } }
+                );
+            }
+
+            const updated = await Message.findById(messageId).lean();
+            const reactions = { roomId, messageId, reactions: groupReactions(updated.reactions) };
+            io.to(roomId).emit("message-reactions-updated", reactions);
+            return reactions;
+        }
+    );
+
+    // Reaction pinned to the room's current video position (computed server-side, so every
+    // client's reaction lands on the authoritative timeline). Send either an emoji or a text comment.
+    onEvent(
+        socket,
+        "timeline-reaction",
+        {
+            roomId: requiredId,
+            emoji: emojiRule,
+            text: { type: "string", minLength: 1, maxLength: MAX_COMMENT_LENGTH },
+        },
+        async ({ roomId, emoji, text }) => {
+            const isEmoji = emoji !== undefined;
+            if (isEmoji === (text !== undefined)) {
+                throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Send either an emoji or a text comment");
+            }
+
+            if (isEmoji && !isValidEmoji(emoji)) {
+                throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Invalid emoji");
+            }
+
+            const room = await findChattableRoom(roomId, userId);
+            if (!room.mediaId) {
+                throw new RequestError(ERROR_CODES.CONFLICT, "No video is loaded in this room");
+            }
+
+            const state = await getPlaybackState(roomId);
+            const reaction = await TimelineReaction.create({
+                room: roomId,
+                serviceId: room.serviceId,
+                mediaId: room.mediaId,
+                position: currentPosition(state),
+                kind: isEmoji ? "emoji" : "comment",
+                emoji: isEmoji ? emoji : "",
+                text: isEmoji ? "" : text.trim(),
+                userId,
+                username: socket.data.user.username,
+            });
+
+            const serialized = serializeTimelineReaction(reaction);
+            io.to(roomId).emit("timeline-reaction", serialized);
+            return serialized;
+        }
+    );
+
+    // Typing indicators are only relayed to sockets already in the room, so membership is
+    // checked through the socket's rooms instead of a database round trip per keystroke
+    onEvent(socket, "typing-start", { roomId: requiredId }, ({ roomId }) => {
+        if (!socket.rooms.has(roomId)) {
+            throw new RequestError(ERROR_CODES.NOT_IN_ROOM, "You are not in this room");
+        }
+
+        const now = Date.now();
+        const state = typingState.get(roomId);
+        if (state) {
+            clearTimeout(state.timer);
+        }
+
+        const timer = setTimeout(() => stopTyping(roomId), TYPING_TIMEOUT_MS);
+        if (state && now - state.lastSentAt < TYPING_THROTTLE_MS) {
+            state.timer = timer;
+            return;
+        }
+
+        typingState.set(roomId, { lastSentAt: now, timer });
+        socket.to(roomId).emit("user-typing", {
+            roomId,
+            userId,
+            username: socket.data.user.username,
+            typing: true,
+        });
+    });
+
+    onEvent(socket, "typing-stop", { roomId: requiredId }, ({ roomId }) => {
+        stopTyping(roomId);
+    });
+
+    socket.on("disconnect", () => {
+        for (const roomId of [...typingState.keys()]) {
+            stopTyping(roomId);
+        }
+    });
+};
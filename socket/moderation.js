@@ -0,0 +1,219 @@
+import Room from "../models/Room.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { can, outranks } from "../services/permissions.js";
+import { removeParticipant } from "../services/rooms.js";
+import { clearRoomPresence } from "../services/presence.js";
+import { forceMicOff, removeUserFromVoice, voiceChannel } from "../services/voice.js";
+import { MAX_RESTRICTION_SECONDS, expiryFromDuration, logModeration } from "../services/moderation.js";
+import { onEvent, requiredId } from "./protocol.js";
+
+const MAX_REASON_LENGTH = 500;
+
+const targetSchema = { roomId: requiredId, targetUserId: requiredId };
+const reasonRule = { type: "string" };
+const durationRule = { type: "number", min: 1, max: MAX_RESTRICTION_SECONDS };
+
+// Helper function to load the room and check the caller may take `action` against the target.
+// Moderators can only act on people ranked below them (so nobody can kick the host).
+const findModerationTarget = async (roomId, actorId, targetUserId, action) => {
+    if (targetUserId === actorId) {
+        throw new RequestError(ERROR_CODES.CONFLICT, "You cannot moderate yourself");
+    }
+
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    if (!can(room, actorId, action)) {
+        throw new RequestError(ERROR_CODES.FORBIDDEN, `You don't have permission to ${action} in this room`);
+    }
+
+    if (!outranks(room, actorId, targetUserId)) {
+        throw new RequestError(ERROR_CODES.FORBIDDEN, "You cannot moderate someone with an equal or higher role");
+    }
+
+    const participant = room.users.find((u) => u.id.toString() === targetUserId);
+    const banned = room.bans?.find((b) => b.id.toString() === targetUserId);
+    return {
+        room,
+        isParticipant: Boolean(participant),
+        targetName: participant?.username || banned?.username || "",
+    };
+};
+
+const cleanReason = (reason) => (reason ? reason.trim().slice(0, MAX_REASON_LENGTH) : "");
+
+// Force every socket of the user out of the room (and its voice channel) and drop them from it
+const ejectUser = async (io, roomId, targetUserId, notice) => {
+    const userChannel = `user:${targetUserId}`;
+    io.to(userChannel).emit("kicked", { roomId, ...notice });
+    io.in(userChannel).socketsLeave([roomId, voiceChannel(roomId)]);
+    await removeUserFromVoice(io, roomId, targetUserId);
+    await clearRoomPresence(roomId, targetUserId);
+    await removeParticipant(io, roomId, targetUserId);
+};
+
+export const registerModerationHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+    const actorName = socket.data.user.username;
+
+    onEvent(socket, "kick-user", { ...targetSchema, reason: reasonRule }, async ({ roomId, targetUserId, reason }) => {
+        const { isParticipant, targetName } = await findModerationTarget(roomId, userId, targetUserId, "kick");
+        if (!isParticipant) {
+            throw new RequestError(ERROR_CODES.NOT_IN_ROOM, `User ${targetUserId} is not in this room`);
+        }
+
+        const cleanedReason = cleanReason(reason);
+        await ejectUser(io, roomId, targetUserId, { reason: cleanedReason, banned: false });
+        await logModeration({
+            room: roomId,
+            action: "kick",
+            actorId: userId,
+            actorName,
+            targetId: targetUserId,
+            targetName,
+            reason: cleanedReason,
+        });
+
+        console.log(`👢 User ${targetUserId} kicked from room ${roomId} by ${userId}`);
+        return { userId: targetUserId };
+    });
+
+    // Ban (optionally for `duration` seconds): removes the user and blocks them from rejoining
+    onEvent(
+        socket,
+        "ban-user",
+        { ...targetSchema, reason: reasonRule, duration: durationRule },
+        async ({ roomId, targetUserId, reason, duration }) => {
+            const { isParticipant, targetName } = await findModerationTarget(roomId, userId, targetUserId, "ban");
+            const expiresAt = expiryFromDuration(duration);
+            const cleanedReason = cleanReason(reason);
+
+            // Replace any earlier ban so there is only ever one entry per user
+            await Room.updateOne(
+                { _id: roomId },
+                { $pull: { bans: { id: targetUserId }, pendingJoins: { id: targetUserId } } }
+            );
+            await Room.updateOne(
+                { _id: roomId },
+                {
+                    $push: {
+                        bans: {
+                            id: targetUserId,
+                            username: targetName,
+                            reason: cleanedReason,
+                            bannedBy: userId,
+                            expiresAt,
+                        },
+                    },
+                }
+            );
+
+            if (isParticipant) {
+                await ejectUser(io, roomId, targetUserId, { reason: cleanedReason, banned: true, expiresAt });
+            }
+
+            await logModeration({
+                room: roomId,
+                action: "ban",
+                actorId: userId,
+                actorName,
+                targetId: targetUserId,
+                targetName,
+                reason: cleanedReason,
+                expiresAt,
+            });
+
+            console.log(`🔨 User ${targetUserId} banned from room ${roomId} by ${userId}`);
+            return { userId: targetUserId, expiresAt };
+        }
+    );
+
+    onEvent(socket, "unban-user", targetSchema, async ({ roomId, targetUserId }) => {
+        const { targetName } = await findModerationTarget(roomId, userId, targetUserId, "ban");
+
+        await Room.updateOne({ _id: roomId }, { $pull: { bans: { id: targetUserId } } });
+        await logModeration({
+            room: roomId,
+            action: "unban",
+            actorId: userId,
+            actorName,
+            targetId: targetUserId,
+            targetName,
+        });
+
+        socket.emit("user-unbanned", { roomId, userId: targetUserId });
+        return { userId: targetUserId };
+    });
+
+    // Mute chat and/or voice, optionally for `duration` seconds
+    onEvent(
+        socket,
+        "mute-user",
+        {
+            ...targetSchema,
+            chat: { type: "boolean" },
+            voice: { type: "boolean" },
+            duration: durationRule,
+            reason: reasonRule,
+        },
+        async ({ roomId, targetUserId, chat = true, voice = false, duration, reason }) => {
+            const { isParticipant, targetName } = await findModerationTarget(
+                roomId,
+                userId,
+                targetUserId,
+                "moderate-chat"
+            );
+            if (!isParticipant) {
+                throw new RequestError(ERROR_CODES.NOT_IN_ROOM, `User ${targetUserId} is not in this room`);
+            }
+
+            if (!chat && !voice) {
+                throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Invalid mute: chat and/or voice must be true");
+            }
+
+            const expiresAt = expiryFromDuration(duration);
+            await Room.updateOne({ _id: roomId }, { $pull: { mutes: { id: targetUserId } } });
+            await Room.updateOne(
+                { _id: roomId },
+                { $push: { mutes: { id: targetUserId, chat, voice, mutedBy: userId, expiresAt } } }
+            );
+
+            io.to(roomId).emit("user-muted", { roomId, userId: targetUserId, chat, voice, expiresAt });
+            if (voice) {
+                await forceMicOff(io, roomId, targetUserId);
+            }
+            await logModeration({
+                room: roomId,
+                action: "mute",
+                actorId: userId,
+                actorName,
+                targetId: targetUserId,
+                targetName,
+                reason: cleanReason(reason),
+                channels: [chat && "chat", voice && "voice"].filter(Boolean),
+                expiresAt,
+            });
+
+            console.log(`🔇 User ${targetUserId} muted in room ${roomId} (chat: ${chat}, voice: ${voice})`);
+            return { userId: targetUserId, chat, voice, expiresAt };
+        }
+    );
+
+    onEvent(socket, "unmute-user", targetSchema, async ({ roomId, targetUserId }) => {
+        const { targetName } = await findModerationTarget(roomId, userId, targetUserId, "moderate-chat");
+
+        await Room.updateOne({ _id: roomId }, { $pull: { mutes: { id: targetUserId } } });
+        io.to(roomId).emit("user-unmuted", { roomId, userId: targetUserId });
+        await logModeration({
+            room: roomId,
+            action: "unmute",
+            actorId: userId,
+            actorName,
+            targetId: targetUserId,
+            targetName,
+        });
+        return { userId: targetUserId };
+    });
+};
@@ -0,0 +1,53 @@
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { can } from "../services/permissions.js";
+import { isMuted } from "../services/moderation.js";
+import { buildPoll, castVote, closePoll, createPoll, pollRules, serializePoll } from "../services/polls.js";
+import { findMemberRoom, onEvent, requiredId } from "./protocol.js";
+
+export const registerPollHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    // Any participant not muted in chat can ask; auto-loading the winner needs playback control
+    onEvent(socket, "create-poll", { roomId: requiredId, ...pollRules }, async ({ roomId, ...input }) => {
+        const room = await findMemberRoom(roomId, userId);
+        if (isMuted(room, userId, "chat")) {
+            throw new RequestError(ERROR_CODES.MUTED, "You are muted in this room");
+        }
+        if (input.autoPlay && !can(room, userId, "control-playback")) {
+            throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the host or co-hosts can make a poll pick the video");
+        }
+
+        const participant = room.users.find((u) => u.id.toString() === userId);
+        const poll = await createPoll(io, roomId, buildPoll(input, participant));
+        return { roomId, poll: serializePoll(poll) };
+    });
+
+    // Voting again moves the vote to the new option
+    onEvent(
+        socket,
+        "vote-poll",
+        { roomId: requiredId, pollId: requiredId, optionId: requiredId },
+        async ({ roomId, pollId, optionId }) => {
+            const room = await findMemberRoom(roomId, userId);
+            return { roomId, poll: await castVote(io, room, pollId, optionId, userId) };
+        }
+    );
+
+    // The poll's creator or anyone who controls playback can close it early
+    onEvent(socket, "close-poll", { roomId: requiredId, pollId: requiredId }, async ({ roomId, pollId }) => {
+        const room = await findMemberRoom(roomId, userId);
+        const poll = (room.polls || []).find((entry) => entry._id.toString() === pollId);
+        if (!poll) {
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `Poll ${pollId} not found`);
+        }
+        if (poll.createdBy.toString() !== userId && !can(room, userId, "control-playback")) {
+            throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the poll's creator, the host or co-hosts can close it");
+        }
+
+        const closed = await closePoll(io, roomId, pollId, userId);
+        if (!closed) {
+            throw new RequestError(ERROR_CODES.CONFLICT, "This poll is already closed");
+        }
+        return { roomId, poll: serializePoll(closed) };
+    });
+};
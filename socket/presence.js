@@ -0,0 +1,25 @@
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { CLIENT_STATUSES, setSocketStatus } from "../services/presence.js";
+import { updateParticipantStatus } from "../services/rooms.js";
+import { onEvent, requiredId } from "./protocol.js";
+
+export const registerPresenceHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    // Clients report "watching" (player focused), "idle" (tab hidden / inactive) or "online".
+    // With several tabs in the room, the most engaged one wins.
+    onEvent(
+        socket,
+        "presence-update",
+        { roomId: requiredId, status: { type: "enum", values: CLIENT_STATUSES, required: true } },
+        async ({ roomId, status }) => {
+            if (!socket.rooms.has(roomId)) {
+                throw new RequestError(ERROR_CODES.NOT_IN_ROOM, "You are not in this room");
+            }
+
+            const combined = await setSocketStatus(roomId, userId, socket.id, status);
+            await updateParticipantStatus(io, roomId, userId, combined);
+            return { status: combined };
+        }
+    );
+};
@@ -0,0 +1,62 @@
+import Room from "../models/Room.js";
+import { ERROR_CODES, RequestError, toErrorPayload } from "../utils/errors.js";
+import { validatePayload } from "../utils/validation.js";
+import { clientIp, getRateLimiter, socketLimitName } from "../services/rateLimit.js";
+
+// Client-to-server protocol. Every event is sent as emit(event, payload, ack?) and answered
+// through the optional ack:
+//   { ok: true, data }                        on success (data is null when there is nothing to return)
+//   { ok: false, error: { code, message } }   on failure, with a code from utils/errors.js
+// Clients that don't pass an ack get failures as `room-error` { event, code, message }.
+//
+// Server-to-client events are always objects, and events about a room carry its `roomId`
+// (serialized messages keep their stored `room` field instead).
+
+// Shared schema rules
+export const requiredId = { type: "objectId", required: true };
+export const optionalId = { type: "objectId" };
+
+// Load a room the caller is a participant of. Kicked users are no longer participants, so this
+// also keeps them out. Pass { lean: false } to get a document the handler can save.
+export const findMemberRoom = async (roomId, userId, { lean = true } = {}) => {
+    const query = Room.findById(roomId);
+    const room = lean ? await query.lean() : await query;
+    if (!room) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    if (!room.users.some((u) => u.id.toString() === userId)) {
+        throw new RequestError(ERROR_CODES.NOT_IN_ROOM, "You are not a member of this room");
+    }
+
+    return room;
+};
+
+// Register a handler for a client-to-server event. Calls are rate limited per user and IP
+// (see services/rateLimit.js), then the handler gets the validated payload and its return
+// value is acked back as `data`; anything it throws becomes an error response.
+export const onEvent = (socket, event, schema, handler) => {
+    socket.on(event, async (...args) => {
+        const ack = typeof args[args.length - 1] === "function" ? args.pop() : null;
+
+        try {
+            await getRateLimiter().consume(socketLimitName(event), {
+                user: socket.data.userId,
+                ip: clientIp(socket.handshake),
+            });
+
+            const payload = validatePayload(schema, args[0]);
+            const data = await handler(payload);
+            ack?.({ ok: true, data: data ?? null });
+        } catch (error) {
+            const failure = toErrorPayload(error);
+            console.error(`Error in ${event} for user ${socket.data.userId}:`, error.message);
+
+            if (ack) {
+                ack({ ok: false, error: failure });
+            } else {
+                socket.emit("room-error", { event, ...failure });
+            }
+        }
+    });
+};
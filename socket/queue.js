@@ -0,0 +1,223 @@
+import Room from "../models/Room.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { playbackSnapshot } from "../services/playback.js";
+import { resolveVideoUrl } from "../providers/index.js";
+import { can } from "../services/permissions.js";
+import {
+    QUEUE_MODES,
+    MAX_QUEUE_LENGTH,
+    serializeQueue,
+    advanceQueue,
+} from "../services/queue.js";
+import { findMemberRoom, onEvent, optionalId, requiredId } from "./protocol.js";
+
+// Send the queue to the room; also returned so handlers can ack it
+const broadcastQueue = async (io, roomId) => {
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        return null;
+    }
+
+    const queue = { roomId, ...serializeQueue(room) };
+    io.to(roomId).emit("queue-updated", queue);
+    return queue;
+};
+
+// Helper function to fail with FORBIDDEN unless the caller may edit the queue
+const requireQueueEditor = (room, userId, message) => {
+    if (!can(room, userId, "edit-queue")) {
+        throw new RequestError(ERROR_CODES.FORBIDDEN, message);
+    }
+};
+
+// Load the next queued video for everyone, or tell the room the queue is exhausted
+export const playNextInQueue = async (io, roomId) => {
+    const next = await advanceQueue(roomId);
+    if (!next) {
+        io.to(roomId).emit("queue-finished", { roomId });
+        return null;
+    }
+
+    console.log(`⏭️ Advancing room ${roomId} to ${next.item.url}`);
+    io.to(roomId).emit("load-video", {
+        roomId,
+        url: next.item.url,
+        serviceId: next.item.serviceId,
+        mediaId: next.item.mediaId,
+        itemId: next.item._id.toString(),
+        playback: playbackSnapshot(next.state),
+    });
+    await broadcastQueue(io, roomId);
+    return next;
+};
+
+export const registerQueueHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    onEvent(
+        socket,
+        "queue-add",
+        { roomId: requiredId, url: { type: "string", required: true }, title: { type: "string" } },
+        async ({ roomId, url, title }) => {
+            const room = await findMemberRoom(roomId, userId, { lean: false });
+            // Hosts and co-hosts always add directly; everyone else follows the room's queueMode
+            const editor = can(room, userId, "edit-queue");
+            const queueMode = room.settings?.queueMode || "host";
+
+            if (!editor && queueMode === "host") {
+                throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the host or co-hosts can add videos to the queue");
+            }
+
+            if (room.queue.length + room.pendingQueue.length >= MAX_QUEUE_LENGTH) {
+                throw new RequestError(ERROR_CODES.CONFLICT, `Queue is full (max ${MAX_QUEUE_LENGTH} videos)`);
+            }
+
+            // Throws VideoSourceError for malformed or unsupported links
+            const source = resolveVideoUrl(url);
+
+            const participant = room.users.find((u) => u.id.toString() === userId);
+            const item = {
+                url: source.url,
+                title: title ? title.trim().slice(0, 200) : "",
+                serviceId: source.serviceId,
+                mediaId: source.mediaId,
+                addedBy: userId,
+                addedByName: participant.username,
+            };
+
+            // Suggestions from other participants wait for approval when the room requires it
+            const field = !editor && queueMode === "approval" ? "pendingQueue" : "queue";
+            await Room.findByIdAndUpdate(roomId, { $push: { [field]: item } });
+
+            console.log(`➕ User ${userId} added ${item.url} to ${field} of room ${roomId}`);
+            return broadcastQueue(io, roomId);
+        }
+    );
+
+    onEvent(socket, "queue-remove", { roomId: requiredId, itemId: requiredId }, async ({ roomId, itemId }) => {
+        const room = await findMemberRoom(roomId, userId, { lean: false });
+        const item = room.queue.id(itemId) || room.pendingQueue.id(itemId);
+        if (!item) {
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `Queue item ${itemId} not found`);
+        }
+
+        // Whoever added a video may take it back; everything else needs queue rights
+        if (item.addedBy.toString() !== userId) {
+            requireQueueEditor(room, userId, "Only the host or co-hosts can remove other users' videos");
+        }
+
+        await Room.findByIdAndUpdate(roomId, {
+            $pull: { queue: { _id: itemId }, pendingQueue: { _id: itemId } },
+        });
+
+        return broadcastQueue(io, roomId);
+    });
+
+    onEvent(
+        socket,
+        "queue-reorder",
+        { roomId: requiredId, itemId: requiredId, toIndex: { type: "number", integer: true, min: 0, required: true } },
+        async ({ roomId, itemId, toIndex }) => {
+            const room = await findMemberRoom(roomId, userId, { lean: false });
+            requireQueueEditor(room, userId, "Only the host or co-hosts can reorder the queue");
+
+            const fromIndex = room.queue.findIndex((item) => item._id.toString() === itemId);
+            if (fromIndex === -1) {
+                throw new RequestError(ERROR_CODES.NOT_FOUND, `Queue item ${itemId} not found`);
+            }
+
+            if (toIndex >= room.queue.length) {
+                throw new RequestError(
+                    ERROR_CODES.VALIDATION_ERROR,
+                    `Invalid toIndex: must be between 0 and ${room.queue.length - 1}`
+                );
+            }
+
+            const [item] = room.queue.splice(fromIndex, 1);
+            room.queue.splice(toIndex, 0, item);
+            await room.save();
+
+            return broadcastQueue(io, roomId);
+        }
+    );
+
+    onEvent(socket, "queue-approve", { roomId: requiredId, itemId: requiredId }, async ({ roomId, itemId }) => {
+        const room = await findMemberRoom(roomId, userId, { lean: false });
+        requireQueueEditor(room, userId, "Only the host or co-hosts can approve queue suggestions");
+
+        const item = room.pendingQueue.id(itemId);
+        if (!item) {
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `Pending item ${itemId} not found`);
+        }
+
+        const approved = item.toObject();
+        room.pendingQueue.pull(itemId);
+        room.queue.push(approved);
+        await room.save();
+
+        return broadcastQueue(io, roomId);
+    });
+
+    onEvent(socket, "queue-reject", { roomId: requiredId, itemId: requiredId }, async ({ roomId, itemId }) => {
+        const room = await findMemberRoom(roomId, userId, { lean: false });
+        requireQueueEditor(room, userId, "Only the host or co-hosts can reject queue suggestions");
+
+        if (!room.pendingQueue.id(itemId)) {
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `Pending item ${itemId} not found`);
+        }
+
+        await Room.findByIdAndUpdate(roomId, { $pull: { pendingQueue: { _id: itemId } } });
+        return broadcastQueue(io, roomId);
+    });
+
+    onEvent(socket, "queue-skip", { roomId: requiredId }, async ({ roomId }) => {
+        const room = await findMemberRoom(roomId, userId, { lean: false });
+        requireQueueEditor(room, userId, "Only the host or co-hosts can skip videos");
+
+        const next = await playNextInQueue(io, roomId);
+        return { itemId: next ? next.item._id.toString() : null };
+    });
+
+    // The host's player reports the end of the current video; itemId guards against stale reports.
+    // Reports from viewers' players are expected and simply ignored.
+    onEvent(socket, "video-ended", { roomId: requiredId, itemId: optionalId }, async ({ roomId, itemId }) => {
+        const room = await findMemberRoom(roomId, userId, { lean: false });
+        if (!can(room, userId, "control-playback")) {
+            return { advanced: false };
+        }
+
+        const currentItemId = room.currentItemId ? room.currentItemId.toString() : null;
+        if (itemId && itemId !== currentItemId) {
+            console.log(`Ignoring stale video-ended for item ${itemId} in room ${roomId}`);
+            return { advanced: false };
+        }
+
+        await playNextInQueue(io, roomId);
+        return { advanced: true };
+    });
+
+    onEvent(
+        socket,
+        "update-queue-settings",
+        { roomId: requiredId, queueMode: { type: "enum", values: QUEUE_MODES, required: true } },
+        async ({ roomId, queueMode }) => {
+            const room = await findMemberRoom(roomId, userId, { lean: false });
+            if (!can(room, userId, "manage-room")) {
+                throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the host can change queue settings");
+            }
+
+            const update = { "settings.queueMode": queueMode };
+            // Nothing can be pending once approval is no longer required:
+            // an open queue accepts the suggestions as-is, a host-only queue drops them
+            if (queueMode !== "approval" && room.pendingQueue.length > 0) {
+                if (queueMode === "everyone") {
+                    update.$push = { queue: { $each: room.pendingQueue.map((item) => item.toObject()) } };
+                }
+                update.pendingQueue = [];
+            }
+            await Room.findByIdAndUpdate(roomId, update);
+
+            return broadcastQueue(io, roomId);
+        }
+    );
+};
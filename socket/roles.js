@@ -0,0 +1,67 @@
+import Room from "../models/Room.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { ASSIGNABLE_ROLES, can, getRole } from "../services/permissions.js";
+import { broadcastRoomDetails, transferHost } from "../services/rooms.js";
+import { onEvent, requiredId } from "./protocol.js";
+
+// Helper function to load a room whose roles the caller may manage
+const findRoleManagedRoom = async (roomId, userId) => {
+    const room = await Room.findById(roomId).lean();
+    if (!room) {
+        throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+    }
+
+    if (!can(room, userId, "manage-roles")) {
+        throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the host can change roles");
+    }
+
+    return room;
+};
+
+export const registerRoleHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    // Host promotes or demotes a participant (co-host, moderator or viewer)
+    onEvent(
+        socket,
+        "set-role",
+        {
+            roomId: requiredId,
+            targetUserId: requiredId,
+            role: { type: "enum", values: ASSIGNABLE_ROLES, required: true },
+        },
+        async ({ roomId, targetUserId, role }) => {
+            const room = await findRoleManagedRoom(roomId, userId);
+
+            const currentRole = getRole(room, targetUserId);
+            if (!currentRole) {
+                throw new RequestError(ERROR_CODES.NOT_IN_ROOM, `User ${targetUserId} is not in this room`);
+            }
+
+            if (currentRole === "host") {
+                throw new RequestError(ERROR_CODES.CONFLICT, "Use transfer-host to change the host");
+            }
+
+            await Room.updateOne(
+                { _id: roomId, "users.id": targetUserId },
+                { $set: { "users.$.role": role } }
+            );
+
+            console.log(`🎭 User ${targetUserId} is now ${role} in room ${roomId}`);
+            io.to(roomId).emit("role-updated", { roomId, userId: targetUserId, role });
+            await broadcastRoomDetails(io, roomId);
+            return { userId: targetUserId, role };
+        }
+    );
+
+    onEvent(socket, "transfer-host", { roomId: requiredId, targetUserId: requiredId }, async ({ roomId, targetUserId }) => {
+        await findRoleManagedRoom(roomId, userId);
+
+        if (targetUserId === userId) {
+            throw new RequestError(ERROR_CODES.CONFLICT, "You are already the host");
+        }
+
+        await transferHost(io, roomId, targetUserId);
+        return { hostId: targetUserId };
+    });
+};
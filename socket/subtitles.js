@@ -0,0 +1,32 @@
+import Room from "../models/Room.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { can } from "../services/permissions.js";
+import { isRoomOpen } from "../services/lifecycle.js";
+import { setActiveTrack } from "../services/subtitles.js";
+import { onEvent, requiredId } from "./protocol.js";
+
+// Uploading and deleting tracks goes through REST (see routes/room.js); switching is live
+export const registerSubtitleHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    // Host or co-hosts pick the track everyone sees: { roomId, trackId } or trackId null for none
+    onEvent(
+        socket,
+        "set-subtitle-track",
+        { roomId: requiredId, trackId: { type: "objectId", nullable: true, required: true } },
+        async ({ roomId, trackId }) => {
+            const room = await Room.findById(roomId).lean();
+            if (!room) {
+                throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+            }
+            if (!isRoomOpen(room)) {
+                throw new RequestError(ERROR_CODES.ROOM_ENDED, "This room has ended");
+            }
+            if (!can(room, userId, "control-playback")) {
+                throw new RequestError(ERROR_CODES.FORBIDDEN, "Only the host or co-hosts can switch subtitles");
+            }
+
+            return setActiveTrack(io, room, trackId);
+        }
+    );
+};
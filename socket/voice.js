@@ -0,0 +1,65 @@
+import Room from "../models/Room.js";
+import { ERROR_CODES, RequestError } from "../utils/errors.js";
+import { isMuted } from "../services/moderation.js";
+import { joinVoice, leaveVoice, relaySignal, setMicEnabled, setSpeaking } from "../services/voice.js";
+import { onEvent, requiredId } from "./protocol.js";
+
+// Signaling payloads are passed on as-is; `to` is the peer's socket id (see services/signaling)
+const signalSchema = (kind) => ({
+    roomId: requiredId,
+    to: { type: "string", minLength: 1, maxLength: 64 },
+    [kind]: { type: "object", required: true },
+});
+
+export const registerVoiceHandlers = (io, socket) => {
+    const userId = socket.data.userId;
+
+    // Acks (and sends as `voice-roster`) who is already in voice, so the joiner can connect to them
+    onEvent(socket, "join-voice", { roomId: requiredId }, async ({ roomId }) => {
+        if (!socket.rooms.has(roomId)) {
+            throw new RequestError(ERROR_CODES.NOT_IN_ROOM, "Join the room before its voice chat");
+        }
+
+        const room = await Room.findById(roomId).lean();
+        if (!room) {
+            throw new RequestError(ERROR_CODES.NOT_FOUND, `Room ${roomId} not found`);
+        }
+
+        const roster = await joinVoice(io, socket, roomId, room);
+        socket.emit("voice-roster", roster);
+        return roster;
+    });
+
+    onEvent(socket, "leave-voice", { roomId: requiredId }, async ({ roomId }) => ({
+        roomId,
+        left: await leaveVoice(io, socket, roomId),
+    }));
+
+    for (const kind of ["offer", "answer", "candidate"]) {
+        onEvent(socket, `voice-${kind}`, signalSchema(kind), ({ roomId, to, [kind]: payload }) =>
+            relaySignal(io, socket, { roomId, to, kind, payload })
+        );
+    }
+
+    onEvent(socket, "mic-enabled", { roomId: requiredId }, async ({ roomId }) => {
+        const room = await Room.findById(roomId).lean();
+        if (room && isMuted(room, userId, "voice")) {
+            throw new RequestError(ERROR_CODES.MUTED, "You are muted in voice chat");
+        }
+
+        console.log(`User ${userId} enabled mic in room ${roomId}`);
+        return setMicEnabled(io, socket, roomId, true);
+    });
+
+    onEvent(socket, "mic-disabled", { roomId: requiredId }, ({ roomId }) => {
+        console.log(`User ${userId} disabled mic in room ${roomId}`);
+        return setMicEnabled(io, socket, roomId, false);
+    });
+
+    onEvent(
+        socket,
+        "voice-speaking",
+        { roomId: requiredId, speaking: { type: "boolean", required: true } },
+        ({ roomId, speaking }) => setSpeaking(socket, roomId, speaking)
+    );
+};
@@ -0,0 +1,115 @@
+import { after, before, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { detectImageType, maxAvatarBytes, setAvatar } from "../services/avatars.js";
+import { setStorage } from "../services/storage/index.js";
+import LocalStorage from "../services/storage/localStorage.js";
+
+// The leading bytes of each accepted type, padded to a plausible file
+const image = (header) => Buffer.concat([Buffer.from(header), Buffer.alloc(64)]);
+
+const JPEG = image([0xff, 0xd8, 0xff, 0xe0]);
+const PNG = image([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const GIF = image([...Buffer.from("GIF89a")]);
+const WEBP = image([...Buffer.from("RIFF"), 0x24, 0, 0, 0, ...Buffer.from("WEBPVP8 ")]);
+
+const listFiles = async (dir) => (await fs.readdir(dir, { recursive: true })).filter((name) => name.includes("."));
+
+describe("avatar type sniffing", () => {
+    it("recognises images by their magic bytes", () => {
+        assert.equal(detectImageType(JPEG)?.mimeType, "image/jpeg");
+        assert.equal(detectImageType(PNG)?.mimeType, "image/png");
+        assert.equal(detectImageType(GIF)?.extension, "gif");
+        assert.equal(detectImageType(WEBP)?.extension, "webp");
+    });
+
+    it("rejects other content whatever it claims to be", () => {
+        assert.equal(detectImageType(Buffer.from("<svg xmlns='http://www.w3.org/2000/svg'></svg>")), null);
+        assert.equal(detectImageType(Buffer.from("%PDF-1.7\n%âãÏÓ\n1 0 obj")), null);
+        // A RIFF container that isn't WebP (a WAV file)
+        assert.equal(detectImageType(image([...Buffer.from("RIFF"), 0x24, 0, 0, 0, ...Buffer.from("WAVE")])), null);
+        assert.equal(detectImageType(Buffer.from([0xff, 0xd8, 0xff])), null);
+        assert.equal(detectImageType(Buffer.alloc(0)), null);
+    });
+});
+
+describe("setAvatar", () => {
+    let root;
+    let previousLimit;
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), "avatars-"));
+        previousLimit = process.env.AVATAR_MAX_BYTES;
+        setStorage(new LocalStorage({ root }));
+    });
+
+    after(async () => {
+        // Back to the storage picked from the environment on next use
+        setStorage(null);
+        if (previousLimit === undefined) {
+            delete process.env.AVATAR_MAX_BYTES;
+        } else {
+            process.env.AVATAR_MAX_BYTES = previousLimit;
+        }
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it("refuses files over the size limit without storing them", async () => {
+        process.env.AVATAR_MAX_BYTES = "32";
+        assert.equal(maxAvatarBytes(), 32);
+        await assert.rejects(setAvatar("user-1", PNG), { code: "VALIDATION_ERROR", message: /at most 32 bytes/ });
+        assert.deepEqual(await listFiles(root), []);
+    });
+
+    it("refuses files that aren't a supported image without storing them", async () => {
+        delete process.env.AVATAR_MAX_BYTES;
+        await assert.rejects(setAvatar("user-1", Buffer.from("GIF is what I am, honest".repeat(4))), {
+            code: "VALIDATION_ERROR",
+        });
+        assert.deepEqual(await listFiles(root), []);
+    });
+});
+
+describe("LocalStorage", () => {
+    let root;
+    let storage;
+
+    before(async () => {
+        root = await fs.mkdtemp(path.join(os.tmpdir(), "uploads-"));
+        storage = new LocalStorage({ root, publicPath: "/uploads" });
+    });
+
+    after(async () => {
+        await fs.rm(root, { recursive: true, force: true });
+    });
+
+    it("saves under a random key in the folder and serves it from the public path", async () => {
+        const { key, url } = await storage.save(PNG, { folder: "avatars", extension: "png" });
+        assert.match(key, /^avatars\/[0-9a-f-]{36}\.png$/);
+        assert.equal(url, `/uploads/${key}`);
+        assert.deepEqual(await fs.readFile(path.join(root, key)), PNG);
+
+        await storage.remove(key);
+        await assert.rejects(fs.access(path.join(root, key)));
+        // Removing twice is fine
+        await storage.remove(key);
+    });
+
+    it("refuses keys that point outside the upload directory", async () => {
+        const outside = path.join(path.dirname(root), `${path.basename(root)}-sibling.txt`);
+        await fs.writeFile(outside, "keep me");
+        try {
+            for (const key of ["../secret.txt", "avatars/../../secret.txt", outside, `../${path.basename(outside)}`]) {
+                await assert.rejects(storage.remove(key), /Invalid storage key/);
+            }
+            await assert.rejects(storage.remove(""), /Invalid storage key/);
+            assert.equal(await fs.readFile(outside, "utf8"), "keep me");
+        } finally {
+            await fs.rm(outside, { force: true });
+        }
+
+        await assert.rejects(storage.save(PNG, { folder: "../escape", extension: "png" }), /Invalid storage key/);
+    });
+});
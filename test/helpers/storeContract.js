@@ -0,0 +1,83 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+
+// Behaviour every shared store (services/store) must have. `setup` returns { store, advance(ms) }:
+// `advance` moves the store's clock forward, with a fake clock for MemoryStore or by actually
+// waiting for a store on a real server (e.g. RedisStore with a throwaway prefix).
+export const describeStoreContract = (name, setup) => {
+    describe(`${name} store contract`, () => {
+        let store;
+        let advance;
+
+        beforeEach(async () => {
+            ({ store, advance } = await setup());
+        });
+
+        it("returns null for missing keys", async () => {
+            assert.equal(await store.get("missing"), null);
+        });
+
+        it("round-trips JSON values as copies", async () => {
+            const value = { position: 12.5, playing: true, tags: ["a", "b"], nested: { by: null } };
+            await store.set("value", value);
+            const read = await store.get("value");
+            assert.deepEqual(read, value);
+
+            read.tags.push("c");
+            assert.deepEqual(await store.get("value"), value);
+        });
+
+        it("overwrites values and deletes them", async () => {
+            await store.set("key", 1);
+            await store.set("key", "two");
+            assert.equal(await store.get("key"), "two");
+
+            await store.del("key");
+            assert.equal(await store.get("key"), null);
+        });
+
+        it("expires values after their TTL", async () => {
+            await store.set("short", "soon gone", 50);
+            await store.set("forever", "kept");
+            assert.equal(await store.get("short"), "soon gone");
+
+            await advance(80);
+            assert.equal(await store.get("short"), null);
+            assert.equal(await store.get("forever"), "kept");
+        });
+
+        it("drops the TTL when a value is set again without one", async () => {
+            await store.set("key", "first", 50);
+            await store.set("key", "second");
+            await advance(80);
+            assert.equal(await store.get("key"), "second");
+        });
+
+        it("tracks set membership", async () => {
+            assert.deepEqual(await store.smembers("set"), []);
+            assert.equal(await store.scard("set"), 0);
+
+            await store.sadd("set", "a");
+            await store.sadd("set", "b");
+            await store.sadd("set", "a");
+            assert.deepEqual((await store.smembers("set")).sort(), ["a", "b"]);
+            assert.equal(await store.scard("set"), 2);
+        });
+
+        it("returns how many members are left after srem", async () => {
+            await store.sadd("set", "a");
+            await store.sadd("set", "b");
+            assert.equal(await store.srem("set", "a"), 1);
+            assert.equal(await store.srem("set", "missing"), 1);
+            assert.equal(await store.srem("set", "b"), 0);
+            assert.equal(await store.srem("never-created", "a"), 0);
+            assert.deepEqual(await store.smembers("set"), []);
+        });
+
+        it("deletes sets with del", async () => {
+            await store.sadd("set", "a");
+            await store.del("set");
+            assert.equal(await store.scard("set"), 0);
+        });
+    });
+};
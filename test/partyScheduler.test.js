@@ -0,0 +1,70 @@
+import { afterEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { planPartyTimers } from "../services/partyScheduler.js";
+
+const MINUTE = 60 * 1000;
+const NOW = Date.UTC(2026, 0, 1, 20, 0, 0);
+
+const partyStartingIn = (ms, extra = {}) => ({ startsAt: new Date(NOW + ms), reminderSentAt: null, ...extra });
+
+describe("planPartyTimers", () => {
+    const saved = {
+        PARTY_RESYNC_MS: process.env.PARTY_RESYNC_MS,
+        PARTY_REMINDER_MINUTES: process.env.PARTY_REMINDER_MINUTES,
+    };
+
+    const configure = ({ resyncMinutes = 5, reminderMinutes }) => {
+        process.env.PARTY_RESYNC_MS = String(resyncMinutes * MINUTE);
+        process.env.PARTY_REMINDER_MINUTES = String(reminderMinutes);
+    };
+
+    afterEach(() => {
+        for (const [name, value] of Object.entries(saved)) {
+            if (value === undefined) {
+                delete process.env[name];
+            } else {
+                process.env[name] = value;
+            }
+        }
+    });
+
+    it("arms a party whose reminder lead is longer than the horizon in time for the reminder", () => {
+        // Horizon is 2 * 5 min; the reminder goes out an hour before the start
+        configure({ reminderMinutes: 60 });
+
+        assert.equal(planPartyTimers(partyStartingIn(71 * MINUTE), NOW), null);
+        assert.deepEqual(planPartyTimers(partyStartingIn(69 * MINUTE), NOW), {
+            startIn: 69 * MINUTE,
+            remindIn: 9 * MINUTE,
+        });
+    });
+
+    it("fires the default 10-minute reminder on time when first seen 5 to 10 minutes before it", () => {
+        configure({ reminderMinutes: 10 });
+
+        for (const firstSeen of [15, 18, 20]) {
+            const plan = planPartyTimers(partyStartingIn(firstSeen * MINUTE), NOW);
+            assert.equal(plan.remindIn, (firstSeen - 10) * MINUTE);
+        }
+    });
+
+    it("only looks at the start once the reminder is sent or turned off", () => {
+        configure({ reminderMinutes: 60 });
+        const reminded = { reminderSentAt: new Date(NOW - MINUTE) };
+        assert.equal(planPartyTimers(partyStartingIn(30 * MINUTE, reminded), NOW), null);
+        assert.deepEqual(planPartyTimers(partyStartingIn(8 * MINUTE, reminded), NOW), {
+            startIn: 8 * MINUTE,
+            remindIn: null,
+        });
+
+        configure({ reminderMinutes: 0 });
+        assert.equal(planPartyTimers(partyStartingIn(30 * MINUTE), NOW), null);
+        assert.deepEqual(planPartyTimers(partyStartingIn(8 * MINUTE), NOW), { startIn: 8 * MINUTE, remindIn: null });
+    });
+
+    it("sends a late reminder right away and opens overdue parties at once", () => {
+        configure({ reminderMinutes: 10 });
+        assert.deepEqual(planPartyTimers(partyStartingIn(3 * MINUTE), NOW), { startIn: 3 * MINUTE, remindIn: 0 });
+        assert.deepEqual(planPartyTimers(partyStartingIn(-2 * MINUTE), NOW), { startIn: 0, remindIn: null });
+    });
+});
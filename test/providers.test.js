@@ -0,0 +1,108 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { getProviders, resolveVideoUrl, VideoSourceError } from "../providers/index.js";
+
+// URLs each provider must accept, with the serviceId/mediaId (and canonical URL) they resolve to
+const ACCEPTED = {
+    youtube: [
+        ["https://www.youtube.com/watch?v=dQw4w9WgXcQ", "1", "dQw4w9WgXcQ"],
+        ["https://youtube.com/watch?v=dQw4w9WgXcQ&t=42s&list=PL123", "1", "dQw4w9WgXcQ"],
+        ["https://m.youtube.com/watch?v=dQw4w9WgXcQ", "1", "dQw4w9WgXcQ"],
+        ["https://youtu.be/dQw4w9WgXcQ?si=abc", "1", "dQw4w9WgXcQ"],
+        ["https://www.youtube.com/embed/dQw4w9WgXcQ", "1", "dQw4w9WgXcQ"],
+        ["https://www.youtube.com/shorts/dQw4w9WgXcQ", "1", "dQw4w9WgXcQ"],
+        ["https://www.youtube.com/live/dQw4w9WgXcQ", "1", "dQw4w9WgXcQ"],
+        ["https://music.youtube.com/watch?v=dQw4w9WgXcQ", "1", "dQw4w9WgXcQ"],
+        ["https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ", "1", "dQw4w9WgXcQ"],
+    ],
+    vimeo: [
+        ["https://vimeo.com/76979871", "2", "76979871"],
+        ["https://vimeo.com/76979871/8e1e2f3a4b", "2", "76979871/8e1e2f3a4b"],
+        ["https://player.vimeo.com/video/76979871?h=8e1e2f3a4b", "2", "76979871/8e1e2f3a4b"],
+        ["https://vimeo.com/channels/staffpicks/76979871", "2", "76979871"],
+        ["https://vimeo.com/groups/shortfilms/videos/76979871", "2", "76979871"],
+    ],
+    dailymotion: [
+        ["https://www.dailymotion.com/video/x7tgad0", "4", "x7tgad0"],
+        ["https://www.dailymotion.com/video/x7tgad0_some-slug", "4", "x7tgad0"],
+        ["https://www.dailymotion.com/embed/video/x7tgad0", "4", "x7tgad0"],
+        ["https://dai.ly/x7tgad0", "4", "x7tgad0"],
+        ["https://geo.dailymotion.com/player/xabc.html?video=x7tgad0", "4", "x7tgad0"],
+    ],
+    twitch: [
+        ["https://www.twitch.tv/videos/1234567890", "3", "1234567890"],
+        ["https://twitch.tv/videos/1234567890/", "3", "1234567890"],
+        ["https://player.twitch.tv/?video=v1234567890&parent=example.com", "3", "1234567890"],
+    ],
+    direct: [
+        ["https://cdn.example.com/movies/trailer.mp4", "5", "https://cdn.example.com/movies/trailer.mp4"],
+        ["https://cdn.example.com/clip.M4V?token=abc#t=10", "5", "https://cdn.example.com/clip.M4V?token=abc"],
+        ["http://media.example.org/live/stream.m3u8", "5", "http://media.example.org/live/stream.m3u8"],
+    ],
+};
+
+const CANONICAL = {
+    youtube: "https://www.youtube.com/watch?v=dQw4w9WgXcQ",
+    dailymotion: "https://www.dailymotion.com/video/x7tgad0",
+    twitch: "https://www.twitch.tv/videos/1234567890",
+};
+
+// URLs that must be turned away, with the VideoSourceError code
+const REJECTED = [
+    ["", "INVALID_URL"],
+    ["   ", "INVALID_URL"],
+    [42, "INVALID_URL"],
+    ["not a url", "INVALID_URL"],
+    ["ftp://cdn.example.com/movie.mp4", "INVALID_URL"],
+    ["javascript:alert(1)", "INVALID_URL"],
+    [`https://example.com/${"a".repeat(2048)}.mp4`, "INVALID_URL"],
+    ["https://www.youtube.com/watch?v=short", "UNSUPPORTED_PROVIDER"],
+    ["https://www.youtube.com/channel/UC1234567890", "UNSUPPORTED_PROVIDER"],
+    ["https://youtube.com.evil.example/watch?v=dQw4w9WgXcQ", "UNSUPPORTED_PROVIDER"],
+    ["https://vimeo.com/channels/staffpicks", "UNSUPPORTED_PROVIDER"],
+    ["https://www.dailymotion.com/user/someone", "UNSUPPORTED_PROVIDER"],
+    ["https://www.twitch.tv/somechannel", "UNSUPPORTED_PROVIDER"],
+    ["https://player.twitch.tv/?channel=somechannel", "UNSUPPORTED_PROVIDER"],
+    ["https://cdn.example.com/movie.mkv", "UNSUPPORTED_PROVIDER"],
+    ["https://example.com/", "UNSUPPORTED_PROVIDER"],
+];
+
+describe("video provider registry", () => {
+    it("loads every provider module with a unique serviceId", () => {
+        const ids = getProviders().map((provider) => provider.id);
+        assert.deepEqual([...ids].sort(), Object.keys(ACCEPTED).sort());
+        assert.equal(new Set(getProviders().map((provider) => provider.serviceId)).size, ids.length);
+    });
+
+    for (const [providerId, fixtures] of Object.entries(ACCEPTED)) {
+        describe(providerId, () => {
+            for (const [url, serviceId, mediaId] of fixtures) {
+                it(`accepts ${url}`, () => {
+                    const resolved = resolveVideoUrl(url);
+                    assert.equal(resolved.provider, providerId);
+                    assert.equal(resolved.serviceId, serviceId);
+                    assert.equal(resolved.mediaId, mediaId);
+                    if (CANONICAL[providerId]) {
+                        assert.equal(resolved.url, CANONICAL[providerId]);
+                    }
+                });
+            }
+        });
+    }
+
+    it("tells direct HLS and MP4 links apart", () => {
+        assert.equal(resolveVideoUrl("https://cdn.example.com/a.mp4").format, "mp4");
+        assert.equal(resolveVideoUrl("https://cdn.example.com/a.m3u8").format, "hls");
+    });
+
+    describe("rejects", () => {
+        for (const [url, code] of REJECTED) {
+            it(`${JSON.stringify(url).slice(0, 60)} with ${code}`, () => {
+                assert.throws(
+                    () => resolveVideoUrl(url),
+                    (error) => error instanceof VideoSourceError && error.code === code
+                );
+            });
+        }
+    });
+});
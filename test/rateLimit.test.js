@@ -0,0 +1,91 @@
+import { beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import MemoryStore from "../services/store/memoryStore.js";
+import { createRateLimiter } from "../services/rateLimit.js";
+
+const LIMITS = {
+    chat: {
+        user: { capacity: 3, refillPerSecond: 1 },
+        ip: { capacity: 5, refillPerSecond: 1 },
+    },
+    slow: { user: { capacity: 1, refillPerSecond: 1 / 60 } },
+};
+
+// Resolves to the RequestError consume() throws, or null when the request went through
+const attempt = (limiter, name, identities) =>
+    limiter.consume(name, identities).then(
+        () => null,
+        (error) => error
+    );
+
+describe("rate limiter", () => {
+    let now;
+    let limiter;
+
+    const advance = (ms) => {
+        now += ms;
+    };
+
+    beforeEach(() => {
+        now = 1_700_000_000_000;
+        const clock = () => now;
+        limiter = createRateLimiter({ limits: LIMITS, store: new MemoryStore({ now: clock }), now: clock });
+    });
+
+    it("lets a burst through up to the capacity, then throttles with retryAfterMs", async () => {
+        for (let i = 0; i < 3; i++) {
+            assert.equal(await attempt(limiter, "chat", { user: "u1" }), null);
+        }
+
+        const error = await attempt(limiter, "chat", { user: "u1" });
+        assert.equal(error?.code, "RATE_LIMITED");
+        assert.equal(error.details.retryAfterMs, 1000);
+    });
+
+    it("refills tokens as the clock advances", async () => {
+        for (let i = 0; i < 3; i++) {
+            await attempt(limiter, "chat", { user: "u1" });
+        }
+
+        advance(999);
+        assert.equal((await attempt(limiter, "chat", { user: "u1" }))?.code, "RATE_LIMITED");
+
+        advance(1);
+        assert.equal(await attempt(limiter, "chat", { user: "u1" }), null);
+        assert.equal((await attempt(limiter, "chat", { user: "u1" }))?.code, "RATE_LIMITED");
+
+        // Never more than the capacity, however long the bucket sits
+        advance(60 * 60 * 1000);
+        for (let i = 0; i < 3; i++) {
+            assert.equal(await attempt(limiter, "chat", { user: "u1" }), null);
+        }
+        assert.equal((await attempt(limiter, "chat", { user: "u1" }))?.code, "RATE_LIMITED");
+    });
+
+    it("keeps a separate bucket per key and per limit", async () => {
+        for (let i = 0; i < 3; i++) {
+            await attempt(limiter, "chat", { user: "u1" });
+        }
+        assert.equal((await attempt(limiter, "chat", { user: "u1" }))?.code, "RATE_LIMITED");
+
+        assert.equal(await attempt(limiter, "chat", { user: "u2" }), null);
+        assert.equal(await attempt(limiter, "slow", { user: "u1" }), null);
+        assert.equal((await attempt(limiter, "slow", { user: "u1" }))?.code, "RATE_LIMITED");
+    });
+
+    it("throttles on whichever scope runs out first", async () => {
+        // Five users behind one address exhaust the shared ip bucket
+        for (let i = 0; i < 5; i++) {
+            assert.equal(await attempt(limiter, "chat", { user: `u${i}`, ip: "10.0.0.1" }), null);
+        }
+        assert.equal((await attempt(limiter, "chat", { user: "u9", ip: "10.0.0.1" }))?.code, "RATE_LIMITED");
+        assert.equal(await attempt(limiter, "chat", { user: "u9", ip: "10.0.0.2" }), null);
+    });
+
+    it("skips scopes without an identity and limits it doesn't know", async () => {
+        for (let i = 0; i < 10; i++) {
+            assert.equal(await attempt(limiter, "chat", { ip: `10.0.0.${i}` }), null);
+            assert.equal(await attempt(limiter, "unknown", { user: "u1" }), null);
+        }
+    });
+});
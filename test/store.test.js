@@ -0,0 +1,102 @@
+import { afterEach, beforeEach, describe, it } from "node:test";
+import assert from "node:assert/strict";
+import MemoryStore from "../services/store/memoryStore.js";
+import { getStore, setStore } from "../services/store/index.js";
+import {
+    clearRoomPresence,
+    countRoomSockets,
+    joinRoom,
+    leaveRoom,
+    roomStatus,
+    setSocketStatus,
+} from "../services/presence.js";
+import { describeStoreContract } from "./helpers/storeContract.js";
+
+// A clock the test moves by hand
+const fakeClock = (start = 1_700_000_000_000) => {
+    let now = start;
+    return { now: () => now, advance: (ms) => (now += ms) };
+};
+
+describeStoreContract("MemoryStore", () => {
+    const clock = fakeClock();
+    return { store: new MemoryStore({ now: clock.now }), advance: async (ms) => clock.advance(ms) };
+});
+
+describe("presence over the shared store", () => {
+    const roomId = "a".repeat(24);
+    const userId = "user-1";
+    let clock;
+    let previousStore;
+    let liveSockets;
+
+    // Just enough of Socket.IO for presence.js: sockets that join rooms, and fetchSockets
+    const fakeSocket = (id) => ({ id, data: { userId }, join() {} });
+    const io = { in: () => ({ fetchSockets: async () => liveSockets }) };
+
+    beforeEach(() => {
+        clock = fakeClock();
+        previousStore = getStore();
+        setStore(new MemoryStore({ now: clock.now }));
+        liveSockets = [];
+    });
+
+    afterEach(() => {
+        setStore(previousStore);
+    });
+
+    it("keeps a user in the room until their last socket leaves", async () => {
+        const tabs = [fakeSocket("tab-1"), fakeSocket("tab-2")];
+        for (const tab of tabs) {
+            await joinRoom(tab, roomId);
+        }
+        liveSockets = tabs;
+        assert.equal(await countRoomSockets(roomId, userId), 2);
+
+        liveSockets = [tabs[1]];
+        assert.equal(await leaveRoom(io, roomId, userId, "tab-1"), 1);
+
+        liveSockets = [];
+        assert.equal(await leaveRoom(io, roomId, userId, "tab-2"), 0);
+        assert.equal(await countRoomSockets(roomId, userId), 0);
+    });
+
+    it("drops sockets left behind by a crashed node when confirming a leave", async () => {
+        for (const id of ["tab-1", "dead-1", "dead-2"]) {
+            await joinRoom(fakeSocket(id), roomId);
+        }
+
+        // Only tab-1 is still connected anywhere
+        liveSockets = [fakeSocket("tab-1")];
+        assert.equal(await leaveRoom(io, roomId, userId, "tab-1"), 0);
+        assert.equal(await countRoomSockets(roomId, userId), 0);
+    });
+
+    it("combines the status of every tab, the most engaged one winning", async () => {
+        await joinRoom(fakeSocket("tab-1"), roomId);
+        await joinRoom(fakeSocket("tab-2"), roomId);
+        assert.equal(await roomStatus(roomId, userId), "online");
+
+        assert.equal(await setSocketStatus(roomId, userId, "tab-1", "idle"), "online");
+        assert.equal(await setSocketStatus(roomId, userId, "tab-2", "watching"), "watching");
+        assert.equal(await setSocketStatus(roomId, userId, "tab-2", "idle"), "idle");
+    });
+
+    it("forgets reported statuses after they expire", async () => {
+        await joinRoom(fakeSocket("tab-1"), roomId);
+        await setSocketStatus(roomId, userId, "tab-1", "idle");
+
+        clock.advance(13 * 60 * 60 * 1000);
+        assert.equal(await roomStatus(roomId, userId), "online");
+    });
+
+    it("clears every socket of a user at once", async () => {
+        await joinRoom(fakeSocket("tab-1"), roomId);
+        await joinRoom(fakeSocket("tab-2"), roomId);
+        await setSocketStatus(roomId, userId, "tab-1", "watching");
+
+        await clearRoomPresence(roomId, userId);
+        assert.equal(await countRoomSockets(roomId, userId), 0);
+        assert.equal(await roomStatus(roomId, userId), "online");
+    });
+});
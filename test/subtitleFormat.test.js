@@ -0,0 +1,198 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+    convertSubtitles,
+    decodeSubtitleBuffer,
+    formatTimestamp,
+    parseSubtitles,
+    SubtitleParseError,
+} from "../services/subtitleFormat.js";
+
+const SRT = `1
+00:00:01,000 --> 00:00:02,500
+Hello there
+
+2
+00:00:03,000 --> 00:00:04,000
+General Kenobi
+`;
+
+const utf16le = (text) => Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from(text, "utf16le")]);
+const utf16be = (text) => {
+    const body = Buffer.from(text, "utf16le");
+    body.swap16();
+    return Buffer.concat([Buffer.from([0xfe, 0xff]), body]);
+};
+
+// Cues without the settings, which most cases don't care about
+const cuesOf = (text) => parseSubtitles(text).map(({ start, end, text: cueText }) => ({ start, end, text: cueText }));
+
+describe("decodeSubtitleBuffer", () => {
+    it("reads plain and BOM-prefixed UTF-8", () => {
+        assert.equal(decodeSubtitleBuffer(Buffer.from("Café ♪")), "Café ♪");
+        assert.equal(decodeSubtitleBuffer(Buffer.from("\uFEFFCafé ♪")), "Café ♪");
+    });
+
+    it("reads UTF-16 in both byte orders from the BOM", () => {
+        assert.equal(decodeSubtitleBuffer(utf16le("Café ♪")), "Café ♪");
+        assert.equal(decodeSubtitleBuffer(utf16be("Café ♪")), "Café ♪");
+    });
+
+    it("falls back to Latin-1 for bytes that aren't valid UTF-8", () => {
+        assert.equal(decodeSubtitleBuffer(Buffer.from("Ça va, señor?", "latin1")), "Ça va, señor?");
+    });
+});
+
+describe("parseSubtitles", () => {
+    it("parses SRT timings into milliseconds", () => {
+        assert.deepEqual(cuesOf(SRT), [
+            { start: 1000, end: 2500, text: "Hello there" },
+            { start: 3000, end: 4000, text: "General Kenobi" },
+        ]);
+    });
+
+    it("accepts ',' or '.' before the milliseconds, short milliseconds and missing hours", () => {
+        const text = [
+            "00:00:01.000 --> 00:00:02.000\nDot",
+            "00:00:03,000 --> 00:00:04.000\nMixed",
+            "00:05.5 --> 00:06.25\nNo hours",
+            "1:00:00,1 --> 1:00:01\nOne hour",
+        ].join("\n\n");
+        assert.deepEqual(cuesOf(text), [
+            { start: 1000, end: 2000, text: "Dot" },
+            { start: 3000, end: 4000, text: "Mixed" },
+            { start: 5500, end: 6250, text: "No hours" },
+            { start: 3600100, end: 3601000, text: "One hour" },
+        ]);
+    });
+
+    it("doesn't need cue numbers, and ignores wrong ones", () => {
+        const text = "00:00:01,000 --> 00:00:02,000\nFirst\n\n7\n00:00:03,000 --> 00:00:04,000\nSecond\n";
+        assert.deepEqual(
+            cuesOf(text).map((cue) => cue.text),
+            ["First", "Second"]
+        );
+    });
+
+    it("skips junk lines before a cue's timing line", () => {
+        const text = "1\nSubtitles by someone\n(c) 2020\n00:00:01,000 --> 00:00:02,000\nHello\n";
+        assert.deepEqual(cuesOf(text), [{ start: 1000, end: 2000, text: "Hello" }]);
+    });
+
+    it("handles CRLF and CR line endings", () => {
+        assert.deepEqual(cuesOf(SRT.replace(/\n/g, "\r\n")), cuesOf(SRT));
+        assert.deepEqual(cuesOf(SRT.replace(/\n/g, "\r")), cuesOf(SRT));
+    });
+
+    it("keeps text after a stray blank line with its cue", () => {
+        const text = [
+            "1\n00:00:01,000 --> 00:00:02,000\nFirst line",
+            "\nsecond line",
+            "2\n00:00:03,000 --> 00:00:04,000\nNext\n",
+        ].join("\n\n");
+        assert.deepEqual(
+            cuesOf(text).map((cue) => cue.text),
+            ["First line\nsecond line", "Next"]
+        );
+    });
+
+    it("keeps <b>, <i> and <u> and strips other tags and SSA overrides", () => {
+        const text = [
+            "00:00:01,000 --> 00:00:02,000",
+            '{\\an8}<I>Shout</I> <font color="red">red</font>',
+            "<b>bold</b> <script>x</script>",
+        ].join("\n");
+        assert.equal(parseSubtitles(text)[0].text, "<i>Shout</i> red\n<b>bold</b> x");
+    });
+
+    it("escapes characters that would break WebVTT", () => {
+        const text = "00:00:01,000 --> 00:00:02,000\nTom & Jerry <3 --> forever &amp; ever\n";
+        assert.equal(parseSubtitles(text)[0].text, "Tom &amp; Jerry &lt;3 → forever &amp; ever");
+    });
+
+    it("skips WebVTT header, NOTE and STYLE blocks and keeps valid cue settings", () => {
+        const text = [
+            "WEBVTT - a title",
+            "NOTE written by hand",
+            "STYLE\n::cue { color: yellow }",
+            "intro\n00:01.000 --> 00:02.000 align:start position:10% X1:100 junk\nHi",
+        ].join("\n\n");
+        assert.deepEqual(parseSubtitles(text), [
+            { start: 1000, end: 2000, settings: ["align:start", "position:10%"], text: "Hi" },
+        ]);
+    });
+
+    it("sorts cues and drops ones with no text or an end before the start", () => {
+        const text = [
+            "00:00:05,000 --> 00:00:06,000\nLater",
+            "00:00:03,000 --> 00:00:02,000\nBackwards",
+            "00:00:07,000 --> 00:00:08,000\n<font></font>",
+            "00:00:01,000 --> 00:00:02,000\nEarlier",
+            "00:00:01,000 --> 00:99:02,000\nBad minutes",
+        ].join("\n\n");
+        assert.deepEqual(
+            cuesOf(text).map((cue) => cue.text),
+            ["Earlier", "Later"]
+        );
+    });
+
+    it("rejects binary content", () => {
+        assert.throws(() => parseSubtitles("PK\u0003\u0004\u0000\u0000"), SubtitleParseError);
+    });
+});
+
+describe("convertSubtitles", () => {
+    it("writes normalized WebVTT from SRT", () => {
+        assert.deepEqual(convertSubtitles(Buffer.from(SRT)), {
+            format: "srt",
+            cueCount: 2,
+            vtt:
+                "WEBVTT\n\n" +
+                "1\n00:00:01.000 --> 00:00:02.500\nHello there\n\n" +
+                "2\n00:00:03.000 --> 00:00:04.000\nGeneral Kenobi\n",
+        });
+    });
+
+    it("recognises WebVTT input, with or without a BOM", () => {
+        const vtt = "WEBVTT\n\n00:01.000 --> 00:02.000 line:0\nHi\n";
+        for (const buffer of [Buffer.from(vtt), Buffer.from(`\uFEFF${vtt}`), utf16le(vtt)]) {
+            const converted = convertSubtitles(buffer);
+            assert.equal(converted.format, "vtt");
+            assert.equal(converted.vtt, "WEBVTT\n\n1\n00:00:01.000 --> 00:00:02.000 line:0\nHi\n");
+        }
+    });
+
+    it("converts UTF-16 and Latin-1 files to the same text", () => {
+        const text = SRT.replace("Hello there", "Olá, señor");
+        const expected = convertSubtitles(Buffer.from(text)).vtt;
+        assert.equal(convertSubtitles(utf16le(text)).vtt, expected);
+        assert.equal(convertSubtitles(utf16be(text)).vtt, expected);
+        assert.equal(convertSubtitles(Buffer.from(text, "latin1")).vtt, expected);
+    });
+
+    it("rejects empty files and files without a single cue", () => {
+        const inputs = [
+            Buffer.alloc(0),
+            Buffer.from("\uFEFF"),
+            Buffer.from("\n\n  \r\n"),
+            Buffer.from("WEBVTT\n\nNOTE nothing to see\n"),
+            Buffer.from("Just some text\nwithout any timings\n"),
+            Buffer.from("<html><body>404 Not Found</body></html>"),
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0x00, 0x00, 0x00, 0x0d]),
+        ];
+        for (const input of inputs) {
+            assert.throws(
+                () => convertSubtitles(input),
+                (error) => error instanceof SubtitleParseError && error.code === "INVALID_SUBTITLES"
+            );
+        }
+    });
+});
+
+describe("formatTimestamp", () => {
+    it("pads every part", () => {
+        assert.equal(formatTimestamp(0), "00:00:00.000");
+        assert.equal(formatTimestamp(3723004), "01:02:03.004");
+        assert.equal(formatTimestamp(100 * 3600000 + 5), "100:00:00.005");
+    });
+});
@@ -0,0 +1,29 @@
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { isPartyRoom } from "../services/presence.js";
+import { validatePayload } from "../utils/validation.js";
+
+const ID = "65ab12cd34ef56ab78cd90ef";
+
+describe("validatePayload objectId rules", () => {
+    const schema = { roomId: { type: "objectId", required: true }, trackId: { type: "objectId", nullable: true } };
+
+    it("passes canonical ids through unchanged", () => {
+        assert.deepEqual(validatePayload(schema, { roomId: ID }), { roomId: ID });
+    });
+
+    it("canonicalizes uppercase and padded ids so they match room names", () => {
+        for (const variant of [ID.toUpperCase(), ` ${ID} `, `\t${ID.toUpperCase()}\n`]) {
+            const { roomId } = validatePayload(schema, { roomId: variant });
+            assert.equal(roomId, ID);
+            assert.ok(isPartyRoom(roomId));
+        }
+    });
+
+    it("keeps nullable ids null and rejects malformed ones", () => {
+        assert.deepEqual(validatePayload(schema, { roomId: ID, trackId: null }), { roomId: ID, trackId: null });
+        for (const bad of ["", "not-an-id", `${ID}0`, 42, { $ne: null }]) {
+            assert.throws(() => validatePayload(schema, { roomId: bad }), { code: "VALIDATION_ERROR" });
+        }
+    });
+});
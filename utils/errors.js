@@ -0,0 +1,85 @@
+// Error codes a client can receive in `{ ok: false, error: { code, message } }` acks and
+// `room-error` events. Clients should branch on the code; the message is for humans.
+export const ERROR_CODES = {
+    // The payload doesn't match the event's schema (missing field, wrong type, out of range)
+    VALIDATION_ERROR: "VALIDATION_ERROR",
+    // The room, message, user, queue item or request doesn't exist
+    NOT_FOUND: "NOT_FOUND",
+    // The caller isn't a participant of the room
+    NOT_IN_ROOM: "NOT_IN_ROOM",
+    // The caller's role doesn't allow the action
+    FORBIDDEN: "FORBIDDEN",
+    // The caller is muted in the room (chat or voice)
+    MUTED: "MUTED",
+    // The action doesn't fit the room's current state (queue full, already host, nothing playing...)
+    CONFLICT: "CONFLICT",
+    // Join refused (see JoinDeniedError in services/roomAccess.js)
+    BANNED: "BANNED",
+    ROOM_LOCKED: "ROOM_LOCKED",
+    ROOM_FULL: "ROOM_FULL",
+    WRONG_PASSWORD: "WRONG_PASSWORD",
+    INVITE_REQUIRED: "INVITE_REQUIRED",
+    ROOM_ENDED: "ROOM_ENDED",
+    // The host declined a knock (sent with `join-denied`)
+    JOIN_REJECTED: "JOIN_REJECTED",
+    // Video URL rejected (see VideoSourceError in providers/index.js)
+    INVALID_URL: "INVALID_URL",
+    UNSUPPORTED_PROVIDER: "UNSUPPORTED_PROVIDER",
+    // Subtitle upload rejected (see SubtitleParseError in services/subtitleFormat.js)
+    INVALID_SUBTITLES: "INVALID_SUBTITLES",
+    // Too many requests; `retryAfterMs` says when the next one will be accepted
+    RATE_LIMITED: "RATE_LIMITED",
+    // Anything unexpected; details are only logged on the server
+    INTERNAL_ERROR: "INTERNAL_ERROR",
+};
+
+// Error a handler throws to fail a request with one of the codes above.
+// `details` are extra fields sent along with the code (e.g. retryAfterMs).
+export class RequestError extends Error {
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = "RequestError";
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// The `{ code, message, ...details }` sent to clients. Errors without a known code are internal,
+// so their message (which may mention database details) is not passed on.
+export const toErrorPayload = (error) =>
+    Object.hasOwn(ERROR_CODES, error?.code)
+        ? { code: error.code, message: error.message, ...error.details }
+        : { code: ERROR_CODES.INTERNAL_ERROR, message: "Something went wrong" };
+
+// HTTP status for a RequestError code in REST routes
+const HTTP_STATUS = {
+    VALIDATION_ERROR: 400,
+    NOT_FOUND: 404,
+    NOT_IN_ROOM: 403,
+    FORBIDDEN: 403,
+    MUTED: 403,
+    CONFLICT: 409,
+    BANNED: 403,
+    ROOM_LOCKED: 423,
+    ROOM_FULL: 409,
+    WRONG_PASSWORD: 403,
+    INVITE_REQUIRED: 403,
+    ROOM_ENDED: 410,
+    JOIN_REJECTED: 403,
+    INVALID_URL: 400,
+    UNSUPPORTED_PROVIDER: 400,
+    INVALID_SUBTITLES: 400,
+    RATE_LIMITED: 429,
+};
+
+export const httpStatusFor = (code) => HTTP_STATUS[code] || 500;
+
+// Answer a REST request that failed: RequestErrors with their status and code, anything else
+// as a 500 without its message (logged here under `fallbackMessage`)
+export const sendError = (res, error, fallbackMessage) => {
+    if (error instanceof RequestError) {
+        return res.status(httpStatusFor(error.code)).json({ error: error.message, code: error.code });
+    }
+    console.error(`❌ ${fallbackMessage}:`, error.message);
+    res.status(500).json({ error: fallbackMessage });
+};
@@ -0,0 +1,13 @@
+// Helpers for background work (schedulers, sweepers, sync ticks)
+
+// Wrap an async task for a timer: a failure is logged as "Error <label>: ..." instead of
+// becoming an unhandled rejection
+export const runSafely = (task, label) => () =>
+    task().catch((error) => console.error(`Error ${label}:`, error.message));
+
+// setInterval for background ticks; the timer is unref'd so it never keeps the process alive
+export const runEvery = (intervalMs, tick) => {
+    const timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return timer;
+};
@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+import { ERROR_CODES, RequestError } from "./errors.js";
+
+// RequestError for a bad field in a request
+export const invalid = (message) => new RequestError(ERROR_CODES.VALIDATION_ERROR, message);
+
+// Escape user text for use inside a RegExp (or a $regex query)
+export const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Helper function to validate ObjectId
+export const isValidObjectId = (id) => {
+    if (typeof id !== "string") {
+        return false;
+    }
+    return mongoose.Types.ObjectId.isValid(id.trim());
+};
+
+// Canonical string form of an id (lowercase hex, no surrounding spaces). Ids from payloads are
+// used as Socket.IO room names and compared with room._id.toString(), so "65AB..." or " 65ab..."
+// must become "65ab..." first.
+export const canonicalObjectId = (id) => new mongoose.Types.ObjectId(id.trim()).toString();
+
+// Helper function to validate a non-empty string no longer than maxLength
+export const isNonEmptyString = (value, maxLength = Infinity) =>
+    typeof value === "string" && value.trim().length > 0 && value.length <= maxLength;
+
+// Parse a positive integer query-string param (page numbers, page sizes); missing means `fallback`.
+// Throws RequestError("VALIDATION_ERROR") when it isn't an integer between 1 and max.
+export const parsePositiveInt = (value, name, fallback, max = Infinity) => {
+    if (value === undefined || value === "") {
+        return fallback;
+    }
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+        throw new RequestError(
+            ERROR_CODES.VALIDATION_ERROR,
+            `Invalid ${name}: must be an integer between 1 and ${max}`
+        );
+    }
+    return number;
+};
+
+// Check a single value against a schema rule; returns a description of the problem, or null
+const checkRule = (rule, value) => {
+    switch (rule.type) {
+        case "objectId":
+            return isValidObjectId(value) ? null : "must be a valid ObjectId";
+        case "string": {
+            const { minLength = 0, maxLength = Infinity } = rule;
+            if (typeof value !== "string" || value.trim().length < minLength || value.length > maxLength) {
+                return maxLength === Infinity
+                    ? "must be a string"
+                    : `must be a string of ${minLength} to ${maxLength} characters`;
+            }
+            return null;
+        }
+        case "number": {
+            const { min = -Infinity, max = Infinity, integer = false } = rule;
+            if (typeof value !== "number" || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+                return integer ? "must be an integer" : "must be a number";
+            }
+            return value < min || value > max ? `must be between ${min} and ${max}` : null;
+        }
+        case "boolean":
+            return typeof value === "boolean" ? null : "must be a boolean";
+        case "enum":
+            return rule.values.includes(value) ? null : `must be one of ${rule.values.join(", ")}`;
+        case "object":
+            return value !== null && typeof value === "object" && !Array.isArray(value) ? null : "must be an object";
+        case "array": {
+            const { maxItems = Infinity } = rule;
+            if (!Array.isArray(value)) {
+                return "must be an array";
+            }
+            return value.length > maxItems ? `must have at most ${maxItems} items` : null;
+        }
+        default:
+            return null;
+    }
+};
+
+// Validate an event payload against a schema of { field: rule }, where a rule is
+// { type, required?, nullable?, ... } (see checkRule). Missing optional fields are left out, null
+// ones too unless the rule is nullable (e.g. "remove the password"), and unknown fields are
+// dropped, so handlers only ever see what the schema describes.
+// Throws RequestError("VALIDATION_ERROR") on the first bad field.
+export const validatePayload = (schema, payload) => {
+    const input = payload ?? {};
+    if (typeof input !== "object" || Array.isArray(input)) {
+        throw new RequestError(ERROR_CODES.VALIDATION_ERROR, "Invalid payload: must be an object");
+    }
+
+    const result = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = input[field];
+        if (value === null && rule.nullable) {
+            result[field] = null;
+            continue;
+        }
+
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                throw new RequestError(ERROR_CODES.VALIDATION_ERROR, `Missing ${field}`);
+            }
+            continue;
+        }
+
+        const problem = checkRule(rule, value);
+        if (problem) {
+            throw new RequestError(ERROR_CODES.VALIDATION_ERROR, `Invalid ${field}: ${problem}`);
+        }
+        result[field] = rule.type === "objectId" ? canonicalObjectId(value) : value;
+    }
+    return result;
+};